@@ -0,0 +1,67 @@
+// Service worker cho Vocab Swipe: cache app shell + audio phát âm để dùng offline.
+// Response API của các provider đã được app cache trong IndexedDB (có TTL và giới hạn số mục) nên không cache ở đây.
+// __SHELL_VERSION__ được thay lúc build bằng hash của các file shell (xem vite.config.js):
+// shell đổi -> tên cache đổi -> bản cũ bị xoá khi service worker mới kích hoạt.
+const SHELL_CACHE = "vocab-shell-__SHELL_VERSION__";
+const AUDIO_CACHE = "vocab-audio-v1";
+const SHELL_URLS = ["/", "/index.html", "/lexicon-en.txt"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  const keep = [SHELL_CACHE, AUDIO_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Điều hướng SPA (/word/:w, /review, /deck/:name đều là index.html): mạng trước,
+  // cache dưới một khóa "/index.html" thay vì mỗi đường dẫn một bản
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then(res => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put("/index.html", copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  // API đồng bộ (server.js) luôn cần dữ liệu mới -> không qua cache
+  if (url.pathname.startsWith("/api/")) return;
+
+  // Asset build của Vite có hash trong tên file -> cache first
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+
+  // File audio phát âm không đổi -> cache first
+  if (/\.(mp3|ogg|wav)$/i.test(url.pathname)) {
+    event.respondWith(cacheFirst(request, AUDIO_CACHE));
+  }
+  // Còn lại (API của các provider) đi thẳng ra mạng
+});
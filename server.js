@@ -0,0 +1,253 @@
+/**
+ * Server cho Vocab Swipe: phục vụ bản build (dist/) như `serve -s dist` và thêm API đồng bộ tiến độ.
+ *
+ * API (JSON):
+ *   GET  /api/sync/:key/:lang   -> { revision, updatedAt, words, events, deleted }
+ *   POST /api/sync/:key/:lang   body { words, events, deleted } -> gộp với bản trên server, trả về bản đã gộp
+ *   Lỗi -> { error: mã lỗi, ...tham số } (vd { error: "tooManyWords", limit }); app tự dịch theo ngôn ngữ giao diện.
+ * - key: mã đồng bộ do app tạo (16-64 ký tự [A-Za-z0-9_-]); các máy dùng chung mã sẽ dùng chung dữ liệu.
+ * - lang: ngôn ngữ nghĩa (vi, ja, ...), mỗi cặp en-xx là một bộ sưu tập riêng như trong app.
+ * - Xung đột được gộp theo từng từ (src/sync.js): lịch ôn lấy bản ôn gần nhất, ghi chú lấy bản sửa sau cùng,
+ *   lịch sử đánh giá gộp lại, từ đã xoá chỉ quay lại nếu được học lại sau khi xoá.
+ *
+ * - Dữ liệu gửi lên được chuẩn hoá (sanitizeWords/sanitizeEvents): chỉ giữ các trường đã biết, record sai kiểu bị bỏ.
+ * - Giới hạn: số bộ sưu tập trên server (SYNC_MAX_FILES), số từ và dung lượng mỗi bộ sưu tập;
+ *   từ đã xoá được nhớ 180 ngày, tối đa 20.000 từ (sanitizeDeleted trong src/sync.js).
+ *
+ * Biến môi trường: PORT (mặc định 3000), SYNC_DATA_DIR (mặc định ./data),
+ * SYNC_TOKEN (tuỳ chọn: bắt buộc header "Authorization: Bearer <token>" cho API — nên đặt khi chạy công khai),
+ * SYNC_MAX_FILES (mặc định 1000).
+ */
+import http from "node:http";
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { mergeSync, sanitizeWords, sanitizeEvents, sanitizeDeleted } from "./src/sync.js";
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(ROOT, "dist");
+const DATA_DIR = path.resolve(ROOT, process.env.SYNC_DATA_DIR || "data");
+const PORT = Number(process.env.PORT) || 3000;
+const SYNC_TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const MAX_SYNC_FILES = Number(process.env.SYNC_MAX_FILES) || 1000;
+const MAX_WORDS_PER_STORE = 20000;
+const MAX_STORE_BYTES = 5 * 1024 * 1024;
+
+const SYNC_ROUTE = /^\/api\/sync\/([A-Za-z0-9_-]{16,64})\/([a-z]{2,3})$/;
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json",
+};
+
+/**
+ * code: mã lỗi trả về client ({ error: code, ...params }); app dịch theo ngôn ngữ giao diện (sync.serverError.* trong src/i18n.js).
+ */
+class HttpError extends Error {
+  constructor(status, code, params = {}) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.params = params;
+  }
+}
+
+// ---------------- Lưu trữ ----------------
+function dataFile(key, lang) {
+  return path.join(DATA_DIR, `${key}.${lang}.json`);
+}
+
+async function readSyncStore(key, lang) {
+  try {
+    return JSON.parse(await fs.readFile(dataFile(key, lang), "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return { revision: 0, updatedAt: null, words: {}, events: [], deleted: {} };
+    throw err;
+  }
+}
+
+// Ghi ra file tạm rồi rename để không bao giờ để lại file ghi dở
+async function writeSyncStore(key, lang, store) {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const file = dataFile(key, lang);
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(store));
+  await fs.rename(tmp, file);
+}
+
+// Giới hạn số bộ sưu tập để người lạ không thể tạo file không giới hạn khi server không đặt SYNC_TOKEN
+async function checkCapacity(key, lang) {
+  const exists = await fs.stat(dataFile(key, lang)).then(() => true, () => false);
+  if (exists) return;
+  const files = await fs.readdir(DATA_DIR).catch(() => []);
+  if (files.filter(f => f.endsWith(".json")).length >= MAX_SYNC_FILES) {
+    throw new HttpError(507, "storageFull");
+  }
+}
+
+// Các lần ghi cùng một bộ sưu tập chạy lần lượt để hai máy đẩy cùng lúc không ghi đè nhau
+const locks = new Map();
+function withLock(id, task) {
+  const prev = locks.get(id) || Promise.resolve();
+  const next = prev.catch(() => {}).then(task);
+  locks.set(id, next);
+  next.finally(() => { if (locks.get(id) === next) locks.delete(id); }).catch(() => {});
+  return next;
+}
+
+// ---------------- API ----------------
+function readJSONBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+    // Quá lớn: báo 413 ngay nhưng vẫn đọc bỏ phần còn lại, huỷ socket lúc này thì client chỉ thấy kết nối bị reset
+    const refuse = () => {
+      tooLarge = true;
+      chunks.length = 0;
+      reject(new HttpError(413, "bodyTooLarge"));
+    };
+    if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) refuse();
+    req.on("data", chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) refuse();
+      else chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (tooLarge) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new HttpError(400, "invalidJSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": MIME_TYPES[".json"],
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+}
+
+// App có thể được host ở nơi khác server đồng bộ -> cho phép gọi cross-origin
+function setCORSHeaders(res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+}
+
+function checkToken(req) {
+  if (SYNC_TOKEN && req.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+    throw new HttpError(401, "unauthorized");
+  }
+}
+
+async function handleSync(req, res, key, lang) {
+  checkToken(req);
+  const id = `${key}.${lang}`;
+  if (req.method === "GET") {
+    sendJSON(res, 200, await readSyncStore(key, lang));
+    return;
+  }
+  if (req.method !== "POST") throw new HttpError(405, "methodNotAllowed");
+
+  const body = await readJSONBody(req);
+  if (!body || typeof body.words !== "object" || Array.isArray(body.words)) {
+    throw new HttpError(400, "missingWords");
+  }
+  const incoming = {
+    words: sanitizeWords(body.words),
+    events: sanitizeEvents(body.events),
+    deleted: sanitizeDeleted(body.deleted),
+  };
+  const result = await withLock(id, async () => {
+    await checkCapacity(key, lang);
+    const current = await readSyncStore(key, lang);
+    const { store, added } = mergeSync(current, incoming);
+    // Tombstone cũ / vượt giới hạn được dọn mỗi lần ghi để file không phình mãi
+    const next = { ...store, deleted: sanitizeDeleted(store.deleted), revision: (current.revision || 0) + 1, updatedAt: new Date().toISOString() };
+    if (Object.keys(next.words).length > MAX_WORDS_PER_STORE) {
+      throw new HttpError(413, "tooManyWords", { limit: MAX_WORDS_PER_STORE });
+    }
+    if (Buffer.byteLength(JSON.stringify(next)) > MAX_STORE_BYTES) {
+      throw new HttpError(413, "storeTooLarge");
+    }
+    await writeSyncStore(key, lang, next);
+    return { ...next, added };
+  });
+  sendJSON(res, 200, result);
+}
+
+// ---------------- File tĩnh (SPA) ----------------
+async function serveStatic(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "methodNotAllowed");
+  const { pathname } = new URL(req.url, "http://localhost");
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    throw new HttpError(400, "badRequest");
+  }
+  const filePath = path.join(DIST_DIR, path.normalize(decoded));
+  if (!filePath.startsWith(DIST_DIR)) throw new HttpError(403, "forbidden");
+
+  let target = filePath;
+  const stat = await fs.stat(target).catch(() => null);
+  // /word/:w, /review, /deck/:name... không phải file -> trả index.html như `serve -s`
+  if (!stat || stat.isDirectory()) target = path.join(DIST_DIR, "index.html");
+
+  const content = await fs.readFile(target).catch(() => null);
+  if (!content) throw new HttpError(404, "noBuild");
+  const ext = path.extname(target);
+  res.writeHead(200, {
+    "Content-Type": MIME_TYPES[ext] || "application/octet-stream",
+    // Asset của Vite có hash trong tên file -> cache lâu; còn lại luôn kiểm tra lại
+    "Cache-Control": target.includes(`${path.sep}assets${path.sep}`) ? "public, max-age=31536000, immutable" : "no-cache",
+  });
+  res.end(req.method === "HEAD" ? undefined : content);
+}
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  try {
+    if (pathname.startsWith("/api/")) {
+      setCORSHeaders(res);
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      const match = pathname.match(SYNC_ROUTE);
+      if (!match) throw new HttpError(404, "notFound");
+      await handleSync(req, res, match[1], match[2]);
+      return;
+    }
+    await serveStatic(req, res);
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) console.error("Lỗi xử lý", req.method, req.url, err);
+    // Body chưa đọc hết (413) -> không giữ kết nối keep-alive, socket đóng sau khi phần còn lại được đọc bỏ
+    if (!req.complete) res.setHeader("Connection", "close");
+    const body = err instanceof HttpError ? { error: err.code, ...err.params } : { error: "serverError" };
+    if (!res.headersSent) sendJSON(res, status, body);
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Vocab Swipe chạy tại http://localhost:${PORT} (dữ liệu đồng bộ: ${DATA_DIR})`);
+  if (!SYNC_TOKEN) console.warn("Chưa đặt SYNC_TOKEN: ai biết địa chỉ server đều gọi được API đồng bộ (tối đa SYNC_MAX_FILES bộ sưu tập).");
+});
@@ -1,15 +1,29 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import { conjugate, pluralize, compare, lemmatize, IRREGULAR_VERBS, wordFamily, familySearchPattern } from "./morphology.js";
+import { loadLexicon, suggestWords, didYouMean, isKnownWord } from "./lexicon.js";
+import { t, setLocale, detectLocale, UI_LANGUAGES } from "./i18n.js";
+import { MAX_EVENTS, mergeStores, mergeSync, sanitizeWords, sanitizeEvents, sanitizeDeleted } from "./sync.js";
+import { requestJSON, RequestError, getProviderStatus, subscribeProviderStatus } from "./network.js";
+import { MINUTE_MS, DAY_MS, RATINGS, newCard, scheduleCard, getDueWords } from "./srs.js";
+import {
+  STORE_VERSION, GLOSS_LANGUAGES, DEFAULT_GLOSS_LANG, emptyStore, withEvents, storeFromLegacy, glossOf, EXPORT_FORMAT,
+  buildAnkiTSV, buildBackupJSON, parseImportFile,
+} from "./store.js";
 
 /**
  * Vocab Swipe — English↔Vietnamese (Fresh build)
  * - Lấy từ theo chủ đề đời sống/công việc/xã hội (Datamuse)
  * - Định nghĩa + phiên âm + (ưu tiên) audio US (Free Dictionary)
- * - Dịch trực tiếp từ EN→VI (MyMemory)
+ * - Dịch trực tiếp từ EN→VI (MyMemory), hoặc sang ngôn ngữ nghĩa khác (Nhật, Hàn, Thái...);
+ *   nghĩa xếp theo độ tin cậy, ghi rõ nguồn, người học bình chọn được nghĩa ưu tiên
  * - Nút mở ChatGPT để xem ví dụ và hội thoại
  * - Quẹt trái: lưu vào "Đã xem" + lấy từ mới (không trùng)
  * - Drawer danh sách đã xem: allow remove
  * - Chip các loại từ liên quan: noun/verb/adj/adv; tap mở card mới
- * - Hiển thị các dạng động từ V2, V3, V-ing
+ * - Hiển thị dạng từ (V2, V3, V-ing, số nhiều, so sánh) và dạng gốc của từ biến đổi
+ * - Giao diện tiếng Việt / tiếng Anh: mọi chuỗi hiển thị nằm trong src/i18n.js
+ * - Nhiều hồ sơ người học trên một thiết bị, mỗi hồ sơ có dữ liệu riêng
+ * - Gọi API qua src/network.js (timeout, thử lại, giới hạn đồng thời, báo provider đang lỗi)
  */
 
 // ---------------- Utilities ----------------
@@ -32,13 +46,585 @@ const COMMON_ADJECTIVES = [
   "public","bad","same","able","political","late","general","full","far","low"
 ];
 
-const STORAGE_KEYS = { SEEN: "vocab_seen_words_v1" };
+const STORAGE_KEYS = {
+  STORE: "vocab_store_v2",
+  SETTINGS: "vocab_settings_v1",
+  OFFLINE_PACK: "vocab_offline_pack_v1",
+  PROVIDERS: "vocab_providers_v1",
+  DECKS: "vocab_decks_v1",
+  PROFILES: "vocab_profiles_v1",
+  // Khoá cũ, chỉ còn dùng để migrate sang STORE
+  SEEN: "vocab_seen_words_v1",
+  SRS: "vocab_srs_v1",
+  CARDS: "vocab_cards_v1",
+};
 
-function loadSeen() {
-  try { return new Set(JSON.parse(localStorage.getItem(STORAGE_KEYS.SEEN) || "[]")); } catch { return new Set(); }
+// Gợi ý mặc định trong ô tìm kiếm (bộ từ có danh sách riêng sẽ gợi ý từ danh sách đó)
+const DEFAULT_SUGGESTIONS = ['happy', 'work', 'family', 'success', 'challenge', 'improve', 'understand', 'achieve'];
+
+// ---------------- Storage ----------------
+function isQuotaError(err) {
+  return err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22 || err.code === 1014);
+}
+
+// Ghi localStorage an toàn: trả về false thay vì ném lỗi khi hết dung lượng / bị chặn
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, typeof value === "string" ? value : JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.error(isQuotaError(err) ? "localStorage đã đầy:" : "Không ghi được localStorage:", key, err);
+    return false;
+  }
+}
+
+function readStorage(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+// Store v2 (record của từng từ, nhật ký sự kiện, tombstone): xem src/store.js
+// Bộ sưu tập Anh-Việt giữ khoá cũ nên dữ liệu có sẵn không cần migrate
+function storeKey(lang = DEFAULT_GLOSS_LANG, profileId = DEFAULT_PROFILE_ID) {
+  return profileKey(lang === DEFAULT_GLOSS_LANG ? STORAGE_KEYS.STORE : `${STORAGE_KEYS.STORE}:en-${lang}`, profileId);
+}
+
+function appendEvent(store, event) {
+  return { ...store, events: [...(store.events || []), event].slice(-MAX_EVENTS) };
+}
+
+function newRecord(now = Date.now(), source = "swipe") {
+  return {
+    firstSeen: now,
+    lastSeen: now,
+    lookups: 1,
+    source,
+    srs: { ...newCard(now), due: now + DAY_MS },
+    history: [],
+    card: null,
+  };
+}
+
+function migrateFromV1() {
+  const seen = readStorage(STORAGE_KEYS.SEEN, []);
+  const schedule = readStorage(STORAGE_KEYS.SRS, {}) || {};
+  const cards = readStorage(STORAGE_KEYS.CARDS, {}) || {};
+  const store = withEvents(storeFromLegacy({ seen: Array.isArray(seen) ? seen : [], schedule, cards }));
+  // Chỉ xoá khoá cũ khi đã ghi store mới thành công, để không mất dữ liệu
+  if (saveStore(store)) {
+    for (const key of [STORAGE_KEYS.SEEN, STORAGE_KEYS.SRS, STORAGE_KEYS.CARDS]) localStorage.removeItem(key);
+  }
+  return store;
+}
+
+function loadStore(lang = DEFAULT_GLOSS_LANG, profileId = DEFAULT_PROFILE_ID) {
+  const data = readStorage(storeKey(lang, profileId), null);
+  if (data && typeof data.words === "object") {
+    if (data.version > STORE_VERSION) console.warn("Store được tạo bởi phiên bản app mới hơn:", data.version);
+    return withEvents({ ...data, version: Math.max(data.version || 0, STORE_VERSION) });
+  }
+  // Dữ liệu v1 chỉ có cho cặp Anh-Việt của hồ sơ mặc định
+  return lang === DEFAULT_GLOSS_LANG && profileId === DEFAULT_PROFILE_ID ? migrateFromV1() : emptyStore();
 }
-function saveSeen(set) {
-  localStorage.setItem(STORAGE_KEYS.SEEN, JSON.stringify(Array.from(set)));
+
+// Bản rút gọn khi hết dung lượng: chỉ giữ 5 lần đánh giá gần nhất, 1000 sự kiện và bỏ ví dụ trong snapshot
+function compactStore(store) {
+  const words = {};
+  for (const [w, rec] of Object.entries(store.words)) {
+    words[w] = {
+      ...rec,
+      history: (rec.history || []).slice(-5),
+      card: rec.card && { ...rec.card, definitions: (rec.card.definitions || []).map(d => ({ ...d, example: null })) },
+    };
+  }
+  return { ...store, words, events: (store.events || []).slice(-1000) };
+}
+
+function saveStore(store, lang = DEFAULT_GLOSS_LANG, profileId = DEFAULT_PROFILE_ID) {
+  if (writeStorage(storeKey(lang, profileId), store)) return true;
+  return writeStorage(storeKey(lang, profileId), compactStore(store));
+}
+
+function scheduleFromStore(store) {
+  const out = {};
+  for (const [w, rec] of Object.entries(store.words)) out[w] = { ...rec.srs, history: rec.history };
+  return out;
+}
+
+function cardsFromStore(store) {
+  const out = {};
+  for (const [w, rec] of Object.entries(store.words)) if (rec.card) out[w] = rec.card;
+  return out;
+}
+
+function hasCustom(custom) {
+  return !!(custom && (custom.notes || custom.translations || custom.examples?.length));
+}
+
+// Chuẩn hoá để tìm kiếm không phân biệt hoa thường / dấu tiếng Việt
+function foldText(text) {
+  return String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/đ/g, "d");
+}
+
+function recordMatches(w, rec, query) {
+  const q = foldText(query).trim();
+  if (!q) return true;
+  const haystack = [
+    w,
+    rec?.card?.wordTranslations,
+    rec?.custom?.translations,
+    rec?.custom?.notes,
+    ...(rec?.custom?.examples || []),
+  ].map(foldText).join("\n");
+  return haystack.includes(q);
+}
+
+// firstTime: từ vừa được thêm (đã có sự kiện "learn") -> không ghi thêm "review" để thống kê không đếm hai lần
+function rateRecord(store, w, rating, now = Date.now(), { firstTime = false } = {}) {
+  const rec = store.words[w] || newRecord(now);
+  const { history, ...srs } = scheduleCard({ ...rec.srs, history: rec.history }, rating, now);
+  const next = { ...store, words: { ...store.words, [w]: { ...rec, lastSeen: now, srs, history } } };
+  return firstTime ? next : appendEvent(next, { type: "review", word: w, rating, at: now });
+}
+
+// ---------------- Profiles ----------------
+/**
+ * Hồ sơ người học dùng chung một thiết bị: { id, name, createdAt }.
+ * Mỗi hồ sơ có store (mọi cặp ngôn ngữ), settings và decks riêng; gói offline và cấu hình provider dùng chung.
+ * Hồ sơ mặc định giữ các khoá cũ (không hậu tố) nên dữ liệu có sẵn thuộc về nó mà không cần migrate.
+ */
+const DEFAULT_PROFILE_ID = "default";
+
+function profileKey(key, profileId = DEFAULT_PROFILE_ID) {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`;
+}
+
+function loadProfiles() {
+  const data = readStorage(STORAGE_KEYS.PROFILES, null);
+  if (data && Array.isArray(data.profiles) && data.profiles.length) {
+    const activeId = data.profiles.some(p => p.id === data.activeId) ? data.activeId : data.profiles[0].id;
+    return { activeId, profiles: data.profiles };
+  }
+  return { activeId: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: "", createdAt: null }] };
+}
+function saveProfiles(state) {
+  return writeStorage(STORAGE_KEYS.PROFILES, state);
+}
+
+// Hồ sơ mặc định chưa đặt tên thì hiện theo ngôn ngữ giao diện
+function profileName(profile) {
+  return profile.name || t("profile.defaultName");
+}
+
+// Tất cả khoá localStorage thuộc về một hồ sơ
+function profileStorageKeys(profileId) {
+  const keys = [
+    profileKey(STORAGE_KEYS.SETTINGS, profileId),
+    profileKey(STORAGE_KEYS.DECKS, profileId),
+    ...Object.keys(GLOSS_LANGUAGES).map(lang => storeKey(lang, profileId)),
+  ];
+  if (profileId === DEFAULT_PROFILE_ID) keys.push(STORAGE_KEYS.SEEN, STORAGE_KEYS.SRS, STORAGE_KEYS.CARDS);
+  return keys;
+}
+
+function removeProfileData(profileId) {
+  for (const key of profileStorageKeys(profileId)) localStorage.removeItem(key);
+}
+
+// Bản sao lưu cả hồ sơ: settings, decks và bộ sưu tập của mọi cặp ngôn ngữ đã dùng
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// Cài đặt mang theo trong file sao lưu hồ sơ: chỉ các khoá đã biết, đúng kiểu.
+// Cài đặt đồng bộ (syncServer/syncKey/syncToken) là bí mật của máy này nên không xuất/nhập:
+// hồ sơ nhập từ file sẽ không âm thầm đồng bộ chung bộ sưu tập với hồ sơ gốc.
+function profileSettings(settings) {
+  if (!isPlainObject(settings)) return null;
+  const out = {};
+  if (Number.isFinite(settings.dailyGoal) && settings.dailyGoal > 0) out.dailyGoal = Math.round(settings.dailyGoal);
+  if (GLOSS_LANGUAGES[settings.glossLang]) out.glossLang = settings.glossLang;
+  if (UI_LANGUAGES[settings.uiLang]) out.uiLang = settings.uiLang;
+  return out;
+}
+
+// { activeId, decks } theo định dạng saveDecks; deck sai kiểu bị bỏ, danh sách từ chỉ giữ chuỗi
+function profileDecks(state) {
+  if (!isPlainObject(state) || !Array.isArray(state.decks)) return null;
+  const strings = (xs) => (Array.isArray(xs) ? xs.filter(x => typeof x === "string") : []);
+  const decks = state.decks
+    .filter(d => isPlainObject(d) && typeof d.id === "string" && d.id)
+    .map(d => d.id === DEFAULT_DECK_ID
+      ? { id: d.id, learned: strings(d.learned) }
+      : { id: d.id, name: typeof d.name === "string" && d.name.trim() ? d.name : d.id, seeds: strings(d.seeds), words: strings(d.words), learned: strings(d.learned) });
+  return { activeId: typeof state.activeId === "string" ? state.activeId : DEFAULT_DECK_ID, decks };
+}
+
+function profileStore(store) {
+  if (!isPlainObject(store) || !isPlainObject(store.words)) return null;
+  return {
+    version: STORE_VERSION,
+    words: sanitizeWords(store.words),
+    events: Array.isArray(store.events) ? sanitizeEvents(store.events) : undefined,
+    deleted: sanitizeDeleted(store.deleted),
+  };
+}
+
+function buildProfileJSON(profile) {
+  const stores = {};
+  for (const lang of Object.keys(GLOSS_LANGUAGES)) {
+    const data = readStorage(storeKey(lang, profile.id), null);
+    if (data) stores[lang] = data;
+  }
+  return JSON.stringify({
+    app: EXPORT_FORMAT.APP,
+    kind: "profile",
+    version: EXPORT_FORMAT.VERSION,
+    exportedAt: new Date().toISOString(),
+    name: profileName(profile),
+    settings: profileSettings(readStorage(profileKey(STORAGE_KEYS.SETTINGS, profile.id), null)),
+    decks: readStorage(profileKey(STORAGE_KEYS.DECKS, profile.id), null),
+    stores,
+  }, null, 2);
+}
+
+function parseProfileFile(text) {
+  const data = JSON.parse(text.replace(/^\uFEFF/, ""));
+  if (data?.app !== EXPORT_FORMAT.APP || data.kind !== "profile" || !data.stores || typeof data.stores !== "object") {
+    throw new Error(t("profile.notBackup"));
+  }
+  return data;
+}
+
+// Ghi dữ liệu của bản sao lưu vào hồ sơ mới (đã kiểm tra/chuẩn hoá từng phần); false nếu bộ nhớ trình duyệt không đủ chỗ
+function writeProfileData(profileId, data) {
+  const settings = profileSettings(data.settings);
+  const decks = profileDecks(data.decks);
+  const writes = [
+    settings && [profileKey(STORAGE_KEYS.SETTINGS, profileId), settings],
+    decks && [profileKey(STORAGE_KEYS.DECKS, profileId), decks],
+    ...Object.entries(data.stores)
+      .filter(([lang]) => GLOSS_LANGUAGES[lang])
+      .map(([lang, store]) => [storeKey(lang, profileId), profileStore(store)])
+      .filter(([, store]) => store),
+  ].filter(Boolean);
+  for (const [key, value] of writes) {
+    if (!writeStorage(key, value)) {
+      removeProfileData(profileId);
+      return false;
+    }
+  }
+  return true;
+}
+
+// ---------------- Spaced repetition (SM-2, src/srs.js) ----------------
+function formatDue(due, now = Date.now()) {
+  const diff = due - now;
+  if (diff <= 0) return t("due.now");
+  if (diff < 60 * MINUTE_MS) return t("due.minutes", { count: Math.ceil(diff / MINUTE_MS) });
+  if (diff < DAY_MS) return t("due.hours", { count: Math.ceil(diff / (60 * MINUTE_MS)) });
+  return t("due.days", { count: Math.round(diff / DAY_MS) });
+}
+
+// ---------------- Decks ----------------
+/**
+ * Bộ từ (deck) do người dùng tạo: { id, name, seeds: [...chủ đề cho Datamuse], words: [...danh sách cố định], learned: [...] }.
+ * Deck mặc định dùng TOPIC_SEEDS + COMMON_VERBS/COMMON_ADJECTIVES như trước.
+ * "learned" ghi lại các từ đã học khi deck đang được chọn để theo dõi tiến độ từng deck.
+ */
+const DEFAULT_DECK_ID = "default";
+const DEFAULT_DECK = { id: DEFAULT_DECK_ID, name: "Đời sống & công việc", seeds: TOPIC_SEEDS, words: [], learned: [] };
+
+// Tên deck mặc định đi theo ngôn ngữ giao diện; deck người dùng tạo giữ nguyên tên
+function deckName(deck) {
+  return deck.id === DEFAULT_DECK_ID ? t("deck.defaultName") : deck.name;
+}
+
+function loadDecks(profileId = DEFAULT_PROFILE_ID) {
+  try {
+    const data = JSON.parse(localStorage.getItem(profileKey(STORAGE_KEYS.DECKS, profileId)) || "null");
+    if (data && Array.isArray(data.decks)) {
+      const custom = data.decks.filter(d => d.id !== DEFAULT_DECK_ID);
+      const storedDefault = data.decks.find(d => d.id === DEFAULT_DECK_ID);
+      const decks = [{ ...DEFAULT_DECK, learned: storedDefault?.learned || [] }, ...custom];
+      const activeId = decks.some(d => d.id === data.activeId) ? data.activeId : DEFAULT_DECK_ID;
+      return { activeId, decks };
+    }
+  } catch {}
+  return { activeId: DEFAULT_DECK_ID, decks: [DEFAULT_DECK] };
+}
+function saveDecks(state, profileId = DEFAULT_PROFILE_ID) {
+  // Không lưu seeds của deck mặc định, luôn lấy từ TOPIC_SEEDS trong code
+  const decks = state.decks.map(d => d.id === DEFAULT_DECK_ID ? { id: d.id, learned: d.learned } : d);
+  return writeStorage(profileKey(STORAGE_KEYS.DECKS, profileId), { activeId: state.activeId, decks });
+}
+
+// "a, b\nc" -> ["a","b","c"] (chữ thường, bỏ trùng)
+function parseWordList(text) {
+  return [...new Set(String(text || "").split(/[,;\n]+/).map(w => w.trim().toLowerCase()).filter(w => /^[a-z][a-z' -]*$/.test(w)))];
+}
+
+function deckProgress(deck, seenSet) {
+  if (deck.words.length) {
+    const done = deck.words.filter(w => seenSet.has(w)).length;
+    return `${done}/${deck.words.length}`;
+  }
+  return t("deck.learnedCount", { count: deck.learned.length });
+}
+
+// ---------------- Card snapshots + export / import (định dạng file: src/store.js) ----------------
+// Snapshot nội dung thẻ (IPA, định nghĩa, nghĩa theo ngôn ngữ đang học...) để xuất file mà không cần gọi lại API
+function cardSnapshot(word) {
+  return {
+    phonetic: word.phonetic || "",
+    pos: word.pos || "",
+    allPOS: word.allPOS || [],
+    definitions: (word.definitions || []).map(d => ({ text: d.text, pos: d.pos || "", example: d.example || null })),
+    wordTranslations: word.wordTranslations || "",
+    glossSources: word.glossSources || [],
+    audioUrl: word.audioUrl || "",
+  };
+}
+
+// Ngược lại của cardSnapshot: dựng entry kiểu Free Dictionary từ snapshot khi từ điển không trả lời được
+function dictFromSnapshot(card) {
+  const byPOS = new Map();
+  for (const d of card.definitions || []) {
+    if (!byPOS.has(d.pos)) byPOS.set(d.pos, []);
+    byPOS.get(d.pos).push({ definition: d.text, example: d.example || undefined });
+  }
+  return {
+    phonetic: card.phonetic || "",
+    phonetics: card.audioUrl ? [{ text: card.phonetic || "", audio: card.audioUrl }] : [],
+    meanings: Array.from(byPOS, ([partOfSpeech, definitions]) => ({ partOfSpeech, definitions })),
+  };
+}
+
+function downloadFile(filename, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ---------------- Sync ----------------
+/**
+ * Đồng bộ với server.js: mỗi lần gửi toàn bộ bộ sưu tập, server gộp với bản của nó (src/sync.js) rồi trả về bản đã gộp.
+ * syncServer để trống = cùng địa chỉ với app (khi app được phục vụ bởi server.js).
+ */
+const SYNC_DEBOUNCE_MS = 5000;
+
+function syncEndpoint({ syncServer, syncKey }, lang) {
+  const base = String(syncServer || "").trim().replace(/\/+$/, "");
+  return `${base}/api/sync/${encodeURIComponent(syncKey)}/${lang}`;
+}
+
+// Mã ngẫu nhiên 24 ký tự (base64url); nhập cùng mã trên máy khác để dùng chung dữ liệu
+function generateSyncKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+async function pushSync(settings, lang, store) {
+  const res = await fetch(syncEndpoint(settings, lang), {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(settings.syncToken ? { Authorization: `Bearer ${settings.syncToken}` } : {}),
+    },
+    body: JSON.stringify({ words: store.words, events: store.events || [], deleted: store.deleted || {} }),
+  });
+  if (!res.ok) {
+    const body = await res.json().catch(() => null);
+    throw new Error(syncErrorMessage(body, res.status));
+  }
+  return res.json();
+}
+
+// Server trả mã lỗi ({ error: code, ...params }) -> câu báo theo ngôn ngữ giao diện; mã lạ thì báo mã HTTP
+function syncErrorMessage(body, status) {
+  const key = `sync.serverError.${body?.error}`;
+  const message = typeof body?.error === "string" ? t(key, body) : key;
+  return message !== key ? message : t("sync.serverError.http", { status });
+}
+
+// ---------------- Settings ----------------
+// uiLang = null: theo ngôn ngữ của trình duyệt cho tới khi người dùng tự chọn
+// syncKey rỗng = không đồng bộ
+const DEFAULT_SETTINGS = { dailyGoal: 10, glossLang: DEFAULT_GLOSS_LANG, uiLang: null, syncServer: "", syncKey: "", syncToken: "" };
+
+function loadSettings(profileId = DEFAULT_PROFILE_ID) {
+  return { ...DEFAULT_SETTINGS, ...(readStorage(profileKey(STORAGE_KEYS.SETTINGS, profileId), {}) || {}) };
+}
+function saveSettings(settings, profileId = DEFAULT_PROFILE_ID) {
+  return writeStorage(profileKey(STORAGE_KEYS.SETTINGS, profileId), settings);
+}
+
+// ---------------- Date + POS helpers ----------------
+// "YYYY-MM-DD" theo giờ địa phương
+function dayKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function addDays(ts, n) {
+  const d = new Date(ts);
+  d.setDate(d.getDate() + n);
+  return d.getTime();
+}
+
+const POS_KEYS = { noun: "pos.noun", verb: "pos.verb", adjective: "pos.adjective", adverb: "pos.adverb" };
+
+// Tên từ loại theo ngôn ngữ giao diện; từ loại lạ giữ nguyên tiếng Anh
+function posLabel(pos) {
+  if (!pos) return t("pos.unknown");
+  return POS_KEYS[pos] ? t(POS_KEYS[pos]) : pos;
+}
+
+// ---------------- Stats ----------------
+/**
+ * Tính thống kê từ nhật ký sự kiện: số từ mới/ôn mỗi ngày, chuỗi ngày học, phân loại theo từ loại.
+ */
+function computeStats(store, { days = 14, now = Date.now() } = {}) {
+  const perDay = new Map();
+  for (const e of store.events || []) {
+    const key = dayKey(e.at);
+    const bucket = perDay.get(key) || { learned: 0, reviewed: 0 };
+    if (e.type === "learn") bucket.learned++;
+    else if (e.type === "review") bucket.reviewed++;
+    perDay.set(key, bucket);
+  }
+
+  // Chuỗi hiện tại: hôm nay chưa học thì vẫn tính tiếp từ hôm qua
+  let streak = 0;
+  let cursor = perDay.has(dayKey(now)) ? now : addDays(now, -1);
+  while (perDay.has(dayKey(cursor))) { streak++; cursor = addDays(cursor, -1); }
+
+  let bestStreak = 0, run = 0, prevKey = null;
+  for (const key of Array.from(perDay.keys()).sort()) {
+    run = prevKey && dayKey(addDays(new Date(`${prevKey}T12:00:00`).getTime(), 1)) === key ? run + 1 : 1;
+    bestStreak = Math.max(bestStreak, run);
+    prevKey = key;
+  }
+
+  const history = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const key = dayKey(addDays(now, -i));
+    history.push({ day: key, ...(perDay.get(key) || { learned: 0, reviewed: 0 }) });
+  }
+
+  const byPOS = new Map();
+  for (const rec of Object.values(store.words)) {
+    const list = rec.card?.allPOS?.length ? rec.card.allPOS : String(rec.card?.pos || "").split(/,\s*/).filter(Boolean);
+    for (const pos of list.length ? list : [""]) byPOS.set(pos, (byPOS.get(pos) || 0) + 1);
+  }
+
+  return {
+    today: perDay.get(dayKey(now)) || { learned: 0, reviewed: 0 },
+    streak,
+    bestStreak,
+    history,
+    byPOS: Array.from(byPOS.entries()).map(([pos, count]) => ({ pos, count })).sort((a, b) => b.count - a.count),
+    total: Object.keys(store.words).length,
+  };
+}
+
+// ---------------- Quiz ----------------
+const QUIZ_LENGTH = 10;
+const QUIZ_OPTIONS = 4;
+
+function shortMeaning(translations) {
+  return String(translations || "").split(";").map(m => m.trim()).filter(Boolean).slice(0, 2).join("; ");
+}
+
+function shuffle(xs) {
+  const out = [...xs];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Các từ đã học có nghĩa (theo ngôn ngữ đang học), dùng làm câu hỏi và đáp án nhiễu
+function quizPool(records) {
+  return Object.entries(records)
+    .map(([w, rec]) => ({ word: w, meaning: shortMeaning(glossOf(rec)) }))
+    .filter(it => it.meaning);
+}
+
+/**
+ * Tạo một câu hỏi trắc nghiệm. direction "en-vi": hỏi từ, chọn nghĩa; "vi-en": hỏi nghĩa, chọn từ.
+ * Ưu tiên các từ đến hạn ôn. Trả về null nếu không đủ từ để tạo đáp án nhiễu.
+ */
+function buildQuizQuestion(pool, direction, { prefer = [], exclude = new Set() } = {}) {
+  if (pool.length < QUIZ_OPTIONS) return null;
+  const candidates = pool.filter(it => !exclude.has(it.word));
+  if (!candidates.length) return null;
+  const preferred = candidates.filter(it => prefer.includes(it.word));
+  const from = preferred.length ? preferred : candidates;
+  const target = from[Math.floor(Math.random() * from.length)];
+
+  const distractors = [];
+  const usedMeanings = new Set([target.meaning.toLowerCase()]);
+  for (const it of shuffle(pool)) {
+    if (distractors.length >= QUIZ_OPTIONS - 1) break;
+    if (it.word === target.word || usedMeanings.has(it.meaning.toLowerCase())) continue;
+    usedMeanings.add(it.meaning.toLowerCase());
+    distractors.push(it);
+  }
+  if (distractors.length < QUIZ_OPTIONS - 1) return null;
+
+  const label = (it) => direction === "en-vi" ? it.meaning : it.word;
+  return {
+    word: target.word,
+    prompt: direction === "en-vi" ? target.word : target.meaning,
+    options: shuffle([target, ...distractors]).map(it => ({ word: it.word, label: label(it) })),
+  };
+}
+
+// ---------------- Dictation ----------------
+const DICTATION_LENGTH = 10;
+
+/**
+ * So sánh từng chữ cái (Levenshtein) giữa từ đúng và từ người dùng gõ.
+ * Trả về danh sách { char, type }: "ok" | "wrong" (gõ sai chữ) | "missing" (thiếu) | "extra" (thừa).
+ */
+function diffLetters(expected, actual) {
+  const a = expected.toLowerCase(), b = actual.toLowerCase();
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  const out = [];
+  let i = a.length, j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && dp[i][j] === dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)) {
+      out.unshift(a[i - 1] === b[j - 1] ? { char: a[i - 1], type: "ok" } : { char: a[i - 1], typed: b[j - 1], type: "wrong" });
+      i--; j--;
+    } else if (i > 0 && dp[i][j] === dp[i - 1][j] + 1) {
+      out.unshift({ char: a[i - 1], type: "missing" });
+      i--;
+    } else {
+      out.unshift({ char: b[j - 1], type: "extra" });
+      j--;
+    }
+  }
+  return out;
 }
 
 function classNames(...xs) { return xs.filter(Boolean).join(" "); }
@@ -68,18 +654,338 @@ function pickAudio(phonetics = []) {
   return null;
 }
 
-async function fetchDatamuseCandidate(seenSet) {
+// ---------------- Offline cache (IndexedDB) ----------------
+const CACHE_DB = { NAME: "vocab_swipe_cache", VERSION: 2, STORE: "responses", INDEX_AT: "at" };
+// Bản cache cũ hơn TTL được tải lại khi có mạng (lỗi thì vẫn dùng bản cũ);
+// quá CACHE_MAX_ENTRIES mục thì xoá các mục ghi từ lâu nhất
+const CACHE_TTL_MS = 30 * DAY_MS;
+const CACHE_MISS_TTL_MS = 7 * DAY_MS; // kết quả "không có" (404) hết hạn sớm hơn
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_PRUNE_EVERY = 100;
+const OFFLINE_PACK_SIZE = 60;
+
+let cacheDBPromise = null;
+function openCacheDB() {
+  if (cacheDBPromise) return cacheDBPromise;
+  cacheDBPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") { resolve(null); return; }
+    const req = indexedDB.open(CACHE_DB.NAME, CACHE_DB.VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      const store = db.objectStoreNames.contains(CACHE_DB.STORE)
+        ? req.transaction.objectStore(CACHE_DB.STORE)
+        : db.createObjectStore(CACHE_DB.STORE);
+      if (!store.indexNames.contains(CACHE_DB.INDEX_AT)) store.createIndex(CACHE_DB.INDEX_AT, "at");
+    };
+    req.onsuccess = () => {
+      pruneCache(req.result);
+      resolve(req.result);
+    };
+    req.onerror = () => { console.error("Không mở được IndexedDB:", req.error); resolve(null); };
+  });
+  return cacheDBPromise;
+}
+
+// Xoá các mục cũ nhất (theo thời điểm ghi) cho tới khi còn CACHE_MAX_ENTRIES mục.
+// Mục không có "at" (ghi trước khi có index) không nằm trong index nên không bao giờ tới lượt: coi như hết hạn và xoá luôn
+function pruneCache(db) {
+  return new Promise((resolve) => {
+    const tx = db.transaction(CACHE_DB.STORE, "readwrite");
+    const store = tx.objectStore(CACHE_DB.STORE);
+    const index = store.index(CACHE_DB.INDEX_AT);
+    const countReq = store.count();
+    const indexedReq = index.count();
+    indexedReq.onsuccess = () => {
+      if (indexedReq.result < countReq.result) {
+        store.openCursor().onsuccess = (e) => {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          if (typeof cursor.value?.at !== "number") cursor.delete();
+          cursor.continue();
+        };
+      }
+      let excess = indexedReq.result - CACHE_MAX_ENTRIES;
+      if (excess <= 0) return;
+      index.openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => resolve();
+  });
+}
+
+// -> { data, at } hoặc undefined
+async function cacheGet(key) {
+  const db = await openCacheDB();
+  if (!db) return undefined;
+  return new Promise((resolve) => {
+    const req = db.transaction(CACHE_DB.STORE, "readonly").objectStore(CACHE_DB.STORE).get(key);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(undefined);
+  });
+}
+
+let putsSincePrune = 0;
+async function cachePut(key, data) {
+  const db = await openCacheDB();
+  if (!db) return;
+  return new Promise((resolve) => {
+    const tx = db.transaction(CACHE_DB.STORE, "readwrite");
+    tx.objectStore(CACHE_DB.STORE).put({ data, at: Date.now() }, key);
+    tx.oncomplete = () => {
+      if (++putsSincePrune >= CACHE_PRUNE_EVERY) {
+        putsSincePrune = 0;
+        pruneCache(db);
+      }
+      resolve();
+    };
+    tx.onerror = () => resolve();
+  });
+}
+
+async function cacheDelete(key) {
+  const db = await openCacheDB();
+  if (!db) return;
+  return new Promise((resolve) => {
+    const tx = db.transaction(CACHE_DB.STORE, "readwrite");
+    tx.objectStore(CACHE_DB.STORE).delete(key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => resolve();
+  });
+}
+
+/**
+ * fetch JSON qua requestJSON (src/network.js), ưu tiên dữ liệu đã cache trong IndexedDB.
+ * Trả về null nếu không có dữ liệu (vd 404 của từ điển), kết quả này cũng được cache (data = null) trong
+ * CACHE_MISS_TTL_MS để không hỏi lại từ không tồn tại; lỗi khác (mất mạng, timeout, hết hạn mức...)
+ * ném RequestError và không bị cache.
+ * validate chạy cả với bản đã cache: bản cũ không hợp lệ (vd câu báo hết hạn mức MyMemory được cache
+ * trước khi có validate) bị xoá và tải lại.
+ * Bản cache quá CACHE_TTL_MS được tải lại; offline hoặc tải lại lỗi thì vẫn trả bản cũ.
+ */
+async function fetchJSONCached(url, init, { provider, validate } = {}) {
+  const key = init?.body ? `${url}#${init.body}` : url;
+  const entry = await cacheGet(key);
+  let stale;
+  if (entry) {
+    const ttl = entry.data === null ? CACHE_MISS_TTL_MS : CACHE_TTL_MS;
+    if (entry.data !== null && validate?.(entry.data)) await cacheDelete(key);
+    else if (Date.now() - (entry.at || 0) < ttl || isOffline()) return entry.data;
+    else stale = entry.data;
+  }
+  let data;
+  try {
+    data = await requestJSON(url, { provider, init, validate });
+  } catch (err) {
+    if (stale !== undefined) return stale;
+    throw err;
+  }
+  await cachePut(key, data);
+  return data;
+}
+
+function loadOfflinePack() {
+  try { return JSON.parse(localStorage.getItem(STORAGE_KEYS.OFFLINE_PACK) || "[]"); } catch { return []; }
+}
+function saveOfflinePack(words) {
+  return writeStorage(STORAGE_KEYS.OFFLINE_PACK, words);
+}
+
+function pickOfflinePackWord(seenSet) {
+  const candidates = loadOfflinePack().filter(w => !seenSet.has(w));
+  if (!candidates.length) return null;
+  return candidates[Math.floor(Math.random() * candidates.length)];
+}
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() => !isOffline());
+  useEffect(() => {
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => {
+      window.removeEventListener("online", on);
+      window.removeEventListener("offline", off);
+    };
+  }, []);
+  return online;
+}
+
+// ---------------- Data providers ----------------
+/**
+ * Mỗi nguồn dữ liệu nằm sau một interface nhỏ:
+ * - wordSource.words({ meansLike, synonymOf, adjectivesFor, nounsFor, metadata, max }) -> [{ word, tags }]
+ * - dictionary.lookup(word) -> mảng entry theo định dạng Free Dictionary API, hoặc null
+ * - translator.translate(text, { from, to }) -> { translatedText, matches: [{ translation, quality, match, origin, by }] }
+ *   quality (0-100) / match (0-1) là null nếu provider không chấm điểm; origin "memory" | "machine", by = người/nguồn đóng góp
+ * Lỗi mạng/hạn mức được ném ra dưới dạng RequestError kèm tên provider (name).
+ *
+ * Chọn provider qua biến môi trường VITE_* lúc build (xem .env.example),
+ * hoặc ghi đè lúc chạy bằng localStorage["vocab_providers_v1"] = {"dictionary":{"url":"http://localhost:4000"}}.
+ */
+function createDatamuseSource({ url = "https://api.datamuse.com" } = {}) {
+  const name = "Datamuse";
+  return {
+    name,
+    async words({ meansLike, spelledLike, synonymOf, adjectivesFor, nounsFor, metadata = "p", max = 50 }) {
+      const params = new URLSearchParams();
+      if (meansLike) params.set("ml", meansLike);
+      if (spelledLike) params.set("sp", spelledLike);
+      if (synonymOf) params.set("rel_syn", synonymOf);
+      if (adjectivesFor) params.set("rel_jjb", adjectivesFor);
+      if (nounsFor) params.set("rel_jja", nounsFor);
+      if (metadata) params.set("md", metadata);
+      params.set("max", String(max));
+      return (await fetchJSONCached(`${url}/words?${params}`, undefined, { provider: name })) || [];
+    },
+  };
+}
+
+function createFreeDictionary({ url = "https://api.dictionaryapi.dev/api/v2/entries/en" } = {}) {
+  const name = "Free Dictionary API";
+  return {
+    name,
+    async lookup(word) {
+      const data = await fetchJSONCached(`${url}/${encodeURIComponent(word)}`, undefined, { provider: name });
+      return Array.isArray(data) && data.length > 0 ? data : null;
+    },
+  };
+}
+
+// MyMemory báo lỗi bằng HTTP 200 + responseStatus, hết hạn mức thì translatedText là câu "MYMEMORY WARNING..."
+function myMemoryProblem(data) {
+  const status = Number(data?.responseStatus) || 200;
+  const text = `${data?.responseData?.translatedText || ""} ${data?.responseDetails || ""}`;
+  if (status === 429 || /MYMEMORY WARNING|ALL AVAILABLE FREE TRANSLATIONS/i.test(text)) return { kind: "quota", status };
+  if (status >= 400) return { kind: "http", status };
+  return null;
+}
+
+function createMyMemoryTranslator({ url = "https://api.mymemory.translated.net", email = "" } = {}) {
+  const name = "MyMemory Translate";
+  return {
+    name,
+    async translate(text, { from = "en", to = "vi" } = {}) {
+      const params = new URLSearchParams({ q: text, langpair: `${from}|${to}` });
+      if (email) params.set("de", email);
+      const data = await fetchJSONCached(`${url}/get?${params}`, undefined, { provider: name, validate: myMemoryProblem });
+      return {
+        translatedText: data?.responseData?.translatedText || "",
+        // created-by "MT!" = bản dịch máy của MyMemory, còn lại là bộ nhớ dịch do người đóng góp
+        matches: (data?.matches || []).map(m => ({
+          translation: m.translation,
+          quality: Number(m.quality) || 0,
+          match: Number(m.match) || 0,
+          origin: m["created-by"] === "MT!" ? "machine" : "memory",
+          by: m["created-by"] === "MT!" ? "" : m["created-by"] || m.reference || "",
+        })),
+      };
+    },
+  };
+}
+
+// LibreTranslate tự host (https://github.com/LibreTranslate/LibreTranslate)
+function createLibreTranslator({ url = "http://localhost:5000", apiKey = "" } = {}) {
+  const name = "LibreTranslate";
+  return {
+    name,
+    async translate(text, { from = "en", to = "vi" } = {}) {
+      const body = JSON.stringify({ q: text, source: from, target: to, format: "text", ...(apiKey ? { api_key: apiKey } : {}) });
+      const data = await fetchJSONCached(`${url}/translate`, { method: "POST", headers: { "Content-Type": "application/json" }, body }, { provider: name });
+      const translatedText = data?.translatedText || "";
+      const alternatives = data?.alternatives || [];
+      return {
+        translatedText,
+        matches: [translatedText, ...alternatives].filter(Boolean).map(t => ({ translation: t, quality: null, match: null, origin: "machine", by: "" })),
+      };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  wordSource: { datamuse: createDatamuseSource },
+  dictionary: { freedictionary: createFreeDictionary },
+  translator: { mymemory: createMyMemoryTranslator, libretranslate: createLibreTranslator },
+};
+
+function loadProviderConfig() {
+  const env = import.meta.env || {};
+  const config = {
+    wordSource: { type: env.VITE_WORD_SOURCE || "datamuse", url: env.VITE_WORD_SOURCE_URL },
+    dictionary: { type: env.VITE_DICTIONARY || "freedictionary", url: env.VITE_DICTIONARY_URL },
+    translator: { type: env.VITE_TRANSLATOR || "mymemory", url: env.VITE_TRANSLATOR_URL, apiKey: env.VITE_TRANSLATOR_KEY, email: env.VITE_TRANSLATOR_EMAIL },
+  };
+  try {
+    const override = JSON.parse(localStorage.getItem(STORAGE_KEYS.PROVIDERS) || "{}") || {};
+    for (const kind of Object.keys(config)) {
+      if (override[kind]) config[kind] = { ...config[kind], ...override[kind] };
+    }
+  } catch (err) {
+    console.error("Cấu hình provider không hợp lệ, dùng mặc định:", err);
+  }
+  return config;
+}
+
+function createProviders(config = loadProviderConfig()) {
+  const out = {};
+  for (const [kind, { type, ...options }] of Object.entries(config)) {
+    let factory = PROVIDER_FACTORIES[kind][type];
+    if (!factory) {
+      console.error(`Provider "${type}" không hỗ trợ cho ${kind}, dùng mặc định.`);
+      factory = Object.values(PROVIDER_FACTORIES[kind])[0];
+    }
+    // Bỏ các option rỗng để factory dùng giá trị mặc định
+    const cleaned = Object.fromEntries(Object.entries(options).filter(([, v]) => v));
+    out[kind] = factory(cleaned);
+  }
+  return out;
+}
+
+const providers = createProviders();
+
+// Số thẻ chuẩn bị sẵn trong nền để quẹt là có thẻ mới ngay
+const PREFETCH_SIZE = 4;
+const EMPTY_RELATED = { family: [], n: [], v: [], adj: [], adv: [] };
+// Số thẻ giữ lại trong lịch sử để quay lại/tiến tới
+const HISTORY_LIMIT = 50;
+
+async function fetchDatamuseCandidate(seenSet, deck = DEFAULT_DECK) {
+  // Deck có danh sách từ cố định: chỉ lấy trong danh sách, không cần mạng
+  if (deck.words.length) {
+    const remaining = deck.words.filter(w => !seenSet.has(w));
+    return remaining.length ? remaining[Math.floor(Math.random() * remaining.length)] : null;
+  }
+  // Mất mạng: chỉ lấy từ gói offline đã tải
+  if (isOffline()) return pickOfflinePackWord(seenSet);
+  try {
+    return await fetchDatamuseCandidateOnline(seenSet, deck);
+  } catch (err) {
+    console.error("Datamuse lỗi, dùng gói offline:", err);
+    return pickOfflinePackWord(seenSet);
+  }
+}
+
+async function fetchDatamuseCandidateOnline(seenSet, deck) {
+  const seeds = deck.seeds.length ? deck.seeds : TOPIC_SEEDS;
   for (let attempt = 0; attempt < 6; attempt++) {
     let candidates = [];
     
-    // Xen kẽ giữa các nguồn khác nhau để đa dạng từ loại
-    const strategy = attempt % 3;
+    // Xen kẽ giữa các nguồn khác nhau để đa dạng từ loại (deck tự tạo chỉ dùng seeds của deck)
+    const strategy = deck.id === DEFAULT_DECK_ID ? attempt % 3 : 0;
     
     if (strategy === 0) {
       // Lấy từ từ topic seeds với metadata
-      const seed = TOPIC_SEEDS[Math.floor(Math.random() * TOPIC_SEEDS.length)];
-      const url = `https://api.datamuse.com/words?ml=${encodeURIComponent(seed)}&md=fp&max=100`;
-      const words = await fetch(url).then(r => r.json());
+      const seed = seeds[Math.floor(Math.random() * seeds.length)];
+      const words = await providers.wordSource.words({ meansLike: seed, metadata: "fp", max: 100 });
       
       // Ưu tiên những từ có nhiều dạng từ loại (có cả tags n, v, adj)
       const versatileWords = words.filter(w => {
@@ -100,8 +1006,7 @@ async function fetchDatamuseCandidate(seenSet) {
     } else if (strategy === 1) {
       // Lấy động từ liên quan
       const verb = COMMON_VERBS[Math.floor(Math.random() * COMMON_VERBS.length)];
-      const url = `https://api.datamuse.com/words?rel_syn=${encodeURIComponent(verb)}&md=p&max=50`;
-      const words = await fetch(url).then(r => r.json());
+      const words = await providers.wordSource.words({ synonymOf: verb, max: 50 });
       candidates = words
         .filter(w => {
           const tags = w.tags || [];
@@ -113,8 +1018,7 @@ async function fetchDatamuseCandidate(seenSet) {
     } else {
       // Lấy tính từ liên quan
       const adj = COMMON_ADJECTIVES[Math.floor(Math.random() * COMMON_ADJECTIVES.length)];
-      const url = `https://api.datamuse.com/words?rel_syn=${encodeURIComponent(adj)}&md=p&max=50`;
-      const words = await fetch(url).then(r => r.json());
+      const words = await providers.wordSource.words({ synonymOf: adj, max: 50 });
       candidates = words
         .filter(w => {
           const tags = w.tags || [];
@@ -134,19 +1038,173 @@ async function fetchDatamuseCandidate(seenSet) {
 }
 
 async function fetchDictionary(word) {
-  const url = `https://api.dictionaryapi.dev/api/v2/entries/en/${encodeURIComponent(word)}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  if (!Array.isArray(data) || data.length === 0) return null;
+  const data = await providers.dictionary.lookup(word);
+  if (!data) return null;
   return data[0];
 }
 
-async function translateTextENtoVI(text) {
-  const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=en|vi`;
-  const res = await fetch(url);
-  const data = await res.json();
-  return data?.responseData?.translatedText || text;
+// Toàn bộ các mục từ (kể cả từ đồng tự khác nghĩa), dùng cho phần "mục từ đầy đủ"
+async function fetchDictionaryEntries(word) {
+  return (await providers.dictionary.lookup(word)) || [];
+}
+
+async function translateFromEnglish(text, to = DEFAULT_GLOSS_LANG) {
+  const data = await providers.translator.translate(text, { from: "en", to });
+  return data?.translatedText || text;
+}
+
+// ---------------- Gloss ranking ----------------
+/**
+ * Xếp hạng nghĩa lấy từ translator: điểm = quality/100 × match (MyMemory chấm cả hai).
+ * Bỏ kết quả tin cậy thấp (khớp mờ với cả câu, bản dịch kém) và đoạn quá dài; provider không chấm điểm thì giữ thứ tự trả về.
+ */
+const GLOSS_LIMIT = 3;
+const GLOSS_MIN_QUALITY = 50;
+const GLOSS_MIN_MATCH = 0.5;
+const GLOSS_MAX_LENGTH = 40;
+const GLOSS_MAX_WORDS = 5;
+const GLOSS_UNSCORED = 0.5;
+
+function glossScore(m) {
+  if (m.quality == null || m.match == null) return GLOSS_UNSCORED;
+  return (m.quality / 100) * m.match;
+}
+
+function isConfidentGloss(m) {
+  return m.quality == null || m.match == null || (m.quality >= GLOSS_MIN_QUALITY && m.match >= GLOSS_MIN_MATCH);
+}
+
+// Mỗi kết quả có thể gồm nhiều nghĩa "a, b; c" -> tách thành từng nghĩa, mỗi nghĩa giữ điểm và nguồn của kết quả
+function glossSegments(m, word) {
+  return String(m.translation || "")
+    .split(/[,;\/]/)
+    .map(p => p.trim().replace(/[.!?]+$/, ""))
+    .filter(p => p && p.length <= GLOSS_MAX_LENGTH && p.split(/\s+/).length <= GLOSS_MAX_WORDS && p.toLowerCase() !== word.toLowerCase());
+}
+
+/**
+ * -> [{ text, score, quality, match, origin, by, provider }] tốt nhất trước, tối đa GLOSS_LIMIT nghĩa.
+ * Không kết quả nào đủ tin cậy thì vẫn giữ nghĩa điểm cao nhất để thẻ không trống nghĩa.
+ */
+function rankGlossMeanings(word, data, provider = "") {
+  const matches = [...(data?.matches || [])];
+  const main = data?.translatedText || "";
+  if (main && !matches.some(m => m.translation?.toLowerCase() === main.toLowerCase())) {
+    matches.unshift({ translation: main, quality: null, match: null, origin: "machine", by: "" });
+  }
+  const byText = new Map();
+  for (const m of matches) {
+    const score = glossScore(m);
+    const confident = isConfidentGloss(m);
+    for (const segment of glossSegments(m, word)) {
+      const key = segment.toLowerCase();
+      const prev = byText.get(key);
+      if (prev && (prev.confident !== confident ? prev.confident : prev.score >= score)) continue;
+      byText.set(key, {
+        text: segment.charAt(0).toUpperCase() + segment.slice(1),
+        score, confident,
+        quality: m.quality ?? null, match: m.match ?? null,
+        origin: m.origin || "machine", by: m.by || "", provider,
+      });
+    }
+  }
+  // sort ổn định: cùng điểm thì giữ thứ tự provider trả về
+  const ranked = Array.from(byText.values()).sort((a, b) => b.score - a.score);
+  const confident = ranked.filter(m => m.confident);
+  return (confident.length ? confident : ranked.slice(0, 1))
+    .slice(0, GLOSS_LIMIT)
+    .map(({ confident: _c, ...m }) => m);
+}
+
+// Nghĩa trên thẻ: có nguồn (thẻ mới) thì dùng, thẻ cũ chỉ có chuỗi nghĩa; nghĩa được bình chọn đứng đầu
+function glossMeaningsOf(word, preferred) {
+  const meanings = word.glossSources?.length
+    ? word.glossSources
+    : String(word.wordTranslations || "").split(";").map(p => p.trim()).filter(Boolean).map(text => ({ text }));
+  const key = (preferred || "").toLowerCase();
+  return meanings
+    .map(m => ({ ...m, preferred: !!key && m.text.toLowerCase() === key }))
+    .sort((a, b) => Number(b.preferred) - Number(a.preferred));
+}
+
+function glossSourceLabel(m) {
+  const parts = [m.provider, t(`glossSource.${m.origin}`)];
+  if (m.by) parts.push(m.by);
+  if (m.quality != null && m.match != null) parts.push(t("glossSource.score", { percent: Math.round(m.score * 100) }));
+  return parts.filter(Boolean).join(" · ");
+}
+
+// Chuẩn hoá bản dịch tiếng Anh thành từ/cụm ngắn tra được: bỏ "to", mạo từ, dấu câu
+function englishCandidate(text) {
+  const t = String(text || "").toLowerCase().replace(/[.,;:!?"()]/g, " ").replace(/\s+/g, " ").trim()
+    .replace(/^(to|a|an|the) /, "");
+  return /^[a-z]+(?:[ -][a-z]+){0,2}$/.test(t) ? t : null;
+}
+
+// Ngôn ngữ viết liền, không có khoảng trắng giữa các từ -> vẫn so khớp chuỗi con
+const SPACELESS_GLOSS_LANGS = new Set(["ja", "th"]);
+
+// Nghĩa khớp khi các âm tiết/từ của query (đã bỏ dấu) là một dãy liền nhau trong nghĩa:
+// "an" khớp "ăn cơm" nhưng không khớp "bàn", "quan", "thân"
+function glossMatches(part, query, lang) {
+  const folded = foldText(part);
+  if (SPACELESS_GLOSS_LANGS.has(lang)) return folded.includes(query);
+  const tokens = folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const q = query.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (!q.length) return false;
+  for (let i = 0; i + q.length <= tokens.length; i++) {
+    if (q.every((tok, j) => tokens[i + j] === tok)) return true;
+  }
+  return false;
+}
+
+// Thứ tự hiển thị kết quả tra ngược (xem reverseLookup)
+function reverseRank(item) {
+  if (item.source !== "studied") return 1;
+  return item.exact ? 0 : 2;
+}
+
+/**
+ * Tra ngược (tiếng Việt/ngôn ngữ nghĩa) -> Anh, gõ có dấu hay không dấu đều được:
+ * 1. Từ đã học có nghĩa khớp theo nguyên âm tiết (so sánh sau khi bỏ dấu) - dùng được offline.
+ * 2. Dịch ngược qua translator; nếu gõ không dấu mà nghĩa đã học có bản có dấu thì dịch cả bản đó.
+ * Thứ tự: từ đã học có nghĩa trùng hẳn query, rồi kết quả dịch, rồi từ đã học chỉ chứa query trong nghĩa.
+ * -> [{ word, source: "studied" | "translation", gloss?, quality?, exact? }]
+ */
+async function reverseLookup(query, words = {}, lang = DEFAULT_GLOSS_LANG) {
+  const q = foldText(query).trim();
+  if (!q) return [];
+  const results = new Map();
+  const queries = new Set([query.trim().toLowerCase()]);
+
+  for (const [w, rec] of Object.entries(words)) {
+    const parts = glossOf(rec).split(/[;,]/).map(p => p.trim()).filter(Boolean);
+    const hit = parts.find(p => foldText(p) === q) || parts.find(p => glossMatches(p, q, lang));
+    if (!hit) continue;
+    const exact = foldText(hit) === q;
+    results.set(w, { word: w, source: "studied", gloss: hit, exact });
+    if (exact) queries.add(hit.toLowerCase());
+  }
+
+  for (const text of Array.from(queries).slice(0, 3)) {
+    try {
+      const data = await providers.translator.translate(text, { from: lang, to: "en" });
+      const found = [{ translation: data?.translatedText, quality: 100 }, ...(data?.matches || [])];
+      for (const m of found) {
+        const word = englishCandidate(m.translation);
+        if (!word) continue;
+        const prev = results.get(word);
+        if (!prev) results.set(word, { word, source: "translation", gloss: text, quality: m.quality || 0 });
+        else if (prev.source === "translation" && (m.quality || 0) > prev.quality) prev.quality = m.quality;
+      }
+    } catch (err) {
+      console.error("Lỗi dịch ngược", text, err);
+    }
+  }
+
+  return Array.from(results.values())
+    .sort((a, b) => reverseRank(a) - reverseRank(b) || (b.quality || 0) - (a.quality || 0))
+    .slice(0, 10);
 }
 
 function speak(text, lang = "en-US") {
@@ -183,6 +1241,44 @@ function speak(text, lang = "en-US") {
   }
 }
 
+// Phát audio từ điển nếu có, lỗi hoặc không có thì dùng Web Speech
+function playWordAudio(text, audioUrl) {
+  if (!text) return;
+  if (audioUrl) {
+    try {
+      const audio = new Audio(audioUrl);
+      
+      // Handle errors
+      audio.onerror = (e) => {
+        console.error("Audio URL error, falling back to Web Speech:", e);
+        speak(text, "en-US");
+      };
+      
+      // Try to play
+      console.log("Attempting to play audio:", audioUrl);
+      const playPromise = audio.play();
+      
+      if (playPromise !== undefined) {
+        playPromise
+          .then(() => {
+            console.log("Audio playing successfully");
+          })
+          .catch((error) => {
+            console.error("Play promise rejected:", error);
+            // Fallback to Web Speech
+            speak(text, "en-US");
+          });
+      }
+    } catch (err) {
+      console.error("Audio initialization error, using Web Speech:", err);
+      speak(text, "en-US");
+    }
+  } else {
+    console.log("No audio URL, using Web Speech");
+    speak(text, "en-US");
+  }
+}
+
 function SmallButton({ onClick, title, children, className = "" }) {
   return (
     <button
@@ -194,20 +1290,59 @@ function SmallButton({ onClick, title, children, className = "" }) {
   );
 }
 
-function usePointerSwipe(ref, { onSwipeLeft }) {
+const SWIPE_THRESHOLD = 120;
+
+// Hướng quẹt -> mức đánh giá: trái = đã biết (giữ hành vi cũ), phải = không biết, xuống = khó, lên = quá dễ
+const SWIPE_RATINGS = {
+  left: { rating: RATINGS.GOOD, labelKey: "swipe.good", className: "bg-green-50 border-green-300 text-green-700" },
+  right: { rating: RATINGS.AGAIN, labelKey: "swipe.again", className: "bg-rose-50 border-rose-300 text-rose-700" },
+  down: { rating: RATINGS.HARD, labelKey: "swipe.hard", className: "bg-amber-50 border-amber-300 text-amber-700" },
+  up: { rating: RATINGS.EASY, labelKey: "swipe.easy", className: "bg-sky-50 border-sky-300 text-sky-700" },
+};
+
+const RATING_ICONS = { again: "❌", hard: "😓", good: "✅", easy: "⚡" };
+
+function swipeDirection(dx, dy) {
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    if (dx < -SWIPE_THRESHOLD) return "left";
+    if (dx > SWIPE_THRESHOLD) return "right";
+  } else {
+    if (dy < -SWIPE_THRESHOLD) return "up";
+    if (dy > SWIPE_THRESHOLD) return "down";
+  }
+  return null;
+}
+
+/**
+ * Quẹt trái/phải ở bất kỳ đâu trên thẻ. Quẹt lên/xuống chỉ bắt đầu từ tay nắm [data-swipe-handle]
+ * (hoặc kéo bằng chuột) để trên điện thoại kéo dọc vẫn là cuộn trang như bình thường.
+ */
+function usePointerSwipe(ref, { onSwipeLeft, onSwipeRight, onSwipeUp, onSwipeDown, onPreview }) {
+  // Giữ callback trong ref để không phải gắn lại listener mỗi lần render (kể cả khi đang kéo)
+  const handlersRef = useRef({});
+  handlersRef.current = { left: onSwipeLeft, right: onSwipeRight, up: onSwipeUp, down: onSwipeDown, preview: onPreview };
+
   useEffect(() => {
     const el = ref.current; if (!el) return;
-    let startX = 0, startY = 0, dx = 0, dy = 0, active = false, pointerId = null, swiping = false;
+    let startX = 0, startY = 0, dx = 0, dy = 0, active = false, pointerId = null, swiping = false, axis = null, verticalAllowed = false;
+    let previewDir = null;
 
     const isInteractive = (t) => !!(t && (t.closest('button, a, input, textarea, select, [role="button"], [data-noswipe]')));
     const getXY = (e) => {
       const p = e.touches?.[0] || e;
       return { x: p.clientX, y: p.clientY };
     };
+    const hasVertical = () => verticalAllowed && !!(handlersRef.current.up || handlersRef.current.down);
+    const setPreview = (dir) => {
+      if (dir === previewDir) return;
+      previewDir = dir;
+      handlersRef.current.preview?.(dir);
+    };
 
     const down = (e) => {
       if (isInteractive(e.target)) return; // ignore clicks on controls
-      active = true; swiping = false; const { x, y } = getXY(e); startX = x; startY = y; dx = 0; dy = 0;
+      active = true; swiping = false; axis = null; const { x, y } = getXY(e); startX = x; startY = y; dx = 0; dy = 0;
+      verticalAllowed = e.pointerType === "mouse" || !!e.target.closest?.("[data-swipe-handle]");
       if (e.pointerId != null && el.setPointerCapture) { pointerId = e.pointerId; try { el.setPointerCapture(pointerId); } catch {}
       }
     };
@@ -217,27 +1352,45 @@ function usePointerSwipe(ref, { onSwipeLeft }) {
       const { x, y } = getXY(e); dx = x - startX; dy = y - startY;
       if (!swiping) {
         if (Math.abs(dx) < 12 && Math.abs(dy) < 12) return; // ignore micro moves
-        if (Math.abs(dx) < Math.abs(dy) * 1.2) return; // mostly vertical -> ignore
+        if (Math.abs(dx) >= Math.abs(dy) * 1.2) axis = "x";
+        else if (hasVertical() && Math.abs(dy) >= Math.abs(dx) * 1.2) axis = "y";
+        else return; // chéo hoặc dọc khi không có callback dọc -> ignore
         swiping = true;
       }
-      el.style.transform = `translateX(${dx}px) rotate(${dx / 40}deg)`;
-      el.style.opacity = String(Math.max(0.4, 1 - Math.abs(dx) / 300));
+      if (axis === "x") {
+        el.style.transform = `translateX(${dx}px) rotate(${dx / 40}deg)`;
+        el.style.opacity = String(Math.max(0.4, 1 - Math.abs(dx) / 300));
+        setPreview(swipeDirection(dx, 0));
+      } else {
+        el.style.transform = `translateY(${dy}px)`;
+        el.style.opacity = String(Math.max(0.4, 1 - Math.abs(dy) / 300));
+        setPreview(swipeDirection(0, dy));
+      }
     };
 
     const resetStyle = () => { el.style.transition = ""; el.style.transform = ""; el.style.opacity = ""; };
 
+    const flyOut = {
+      left: "translateX(-120%) rotate(-12deg)",
+      right: "translateX(120%) rotate(12deg)",
+      up: "translateY(-120%)",
+      down: "translateY(120%)",
+    };
+
     const up = () => {
       if (!active) return; active = false;
+      setPreview(null);
       if (!swiping) { resetStyle(); return; }
       el.style.transition = "transform .2s, opacity .2s";
-      const isLeftSwipe = dx < -120 && Math.abs(dy) < 120;
-      if (isLeftSwipe) {
-        el.style.transform = `translateX(-120%) rotate(-12deg)`; el.style.opacity = "0";
-        setTimeout(() => { onSwipeLeft?.(); resetStyle(); }, 220);
+      const dir = axis === "x" ? swipeDirection(dx, 0) : swipeDirection(0, dy);
+      const handler = dir ? handlersRef.current[dir] : null;
+      if (handler) {
+        el.style.transform = flyOut[dir]; el.style.opacity = "0";
+        setTimeout(() => { handler(); resetStyle(); }, 220);
       } else {
         resetStyle();
       }
-      dx = 0; dy = 0; swiping = false;
+      dx = 0; dy = 0; swiping = false; axis = null;
       if (pointerId != null && el.releasePointerCapture) { try { el.releasePointerCapture(pointerId); } catch {} pointerId = null; }
     };
 
@@ -258,182 +1411,234 @@ function usePointerSwipe(ref, { onSwipeLeft }) {
       el.removeEventListener("touchmove", move);
       el.removeEventListener("touchend", up);
     };
-  }, [ref, onSwipeLeft]);
+  }, [ref]);
 }
 
-async function fetchVerbForms(verb) {
-  try {
-    // Kiểm tra nếu từ đã ở dạng -ing, -ed, hoặc irregular forms
-    // Nếu từ kết thúc bằng -ing, có thể đã là dạng V-ing
-    if (verb.endsWith('ing')) {
-      // Cố gắng tìm động từ gốc
-      let base = verb.slice(0, -3); // Bỏ 'ing'
-      
-      // Kiểm tra các trường hợp có thể
-      // Ví dụ: running -> run, making -> make
-      if (verb.endsWith('nning') || verb.endsWith('tting') || verb.endsWith('pping')) {
-        base = verb.slice(0, -4); // Bỏ double consonant + ing
-      } else if (verb.endsWith('ying') && verb.length > 5) {
-        base = verb.slice(0, -4) + 'ie'; // lying -> lie
-      } else if (!verb.endsWith('eing') && !verb.endsWith('oing') && !verb.endsWith('uing')) {
-        // Có thể từ gốc kết thúc bằng 'e' bị bỏ
-        // trying to recover: surrounding -> surround
-        const possibleBase = verb.slice(0, -3);
-        const possibleBaseWithE = verb.slice(0, -3) + 'e';
-        
-        // Kiểm tra xem base word nào hợp lý hơn
-        // Ở đây ta sẽ return null để không chia động từ cho từ đã được chia
-        console.log(`"${verb}" có vẻ đã là dạng V-ing, bỏ qua chia động từ`);
-        return null;
-      }
-    }
-    
-    // Kiểm tra nếu từ đã ở dạng -ed
-    if (verb.endsWith('ed')) {
-      console.log(`"${verb}" có vẻ đã là dạng V2/V3, bỏ qua chia động từ`);
-      return null;
-    }
-    
-    // Kiểm tra irregular verbs phổ biến trước
-    const irregularVerbs = {
-      'be': {past: 'was/were', participle: 'been', ing: 'being'},
-      'have': {past: 'had', participle: 'had', ing: 'having'},
-      'do': {past: 'did', participle: 'done', ing: 'doing'},
-      'go': {past: 'went', participle: 'gone', ing: 'going'},
-      'get': {past: 'got', participle: 'gotten/got', ing: 'getting'},
-      'make': {past: 'made', participle: 'made', ing: 'making'},
-      'take': {past: 'took', participle: 'taken', ing: 'taking'},
-      'come': {past: 'came', participle: 'come', ing: 'coming'},
-      'see': {past: 'saw', participle: 'seen', ing: 'seeing'},
-      'know': {past: 'knew', participle: 'known', ing: 'knowing'},
-      'think': {past: 'thought', participle: 'thought', ing: 'thinking'},
-      'give': {past: 'gave', participle: 'given', ing: 'giving'},
-      'find': {past: 'found', participle: 'found', ing: 'finding'},
-      'tell': {past: 'told', participle: 'told', ing: 'telling'},
-      'become': {past: 'became', participle: 'become', ing: 'becoming'},
-      'leave': {past: 'left', participle: 'left', ing: 'leaving'},
-      'feel': {past: 'felt', participle: 'felt', ing: 'feeling'},
-      'bring': {past: 'brought', participle: 'brought', ing: 'bringing'},
-      'begin': {past: 'began', participle: 'begun', ing: 'beginning'},
-      'keep': {past: 'kept', participle: 'kept', ing: 'keeping'},
-      'hold': {past: 'held', participle: 'held', ing: 'holding'},
-      'write': {past: 'wrote', participle: 'written', ing: 'writing'},
-      'stand': {past: 'stood', participle: 'stood', ing: 'standing'},
-      'hear': {past: 'heard', participle: 'heard', ing: 'hearing'},
-      'let': {past: 'let', participle: 'let', ing: 'letting'},
-      'mean': {past: 'meant', participle: 'meant', ing: 'meaning'},
-      'set': {past: 'set', participle: 'set', ing: 'setting'},
-      'meet': {past: 'met', participle: 'met', ing: 'meeting'},
-      'run': {past: 'ran', participle: 'run', ing: 'running'},
-      'pay': {past: 'paid', participle: 'paid', ing: 'paying'},
-      'sit': {past: 'sat', participle: 'sat', ing: 'sitting'},
-      'speak': {past: 'spoke', participle: 'spoken', ing: 'speaking'},
-      'lie': {past: 'lay', participle: 'lain', ing: 'lying'},
-      'lead': {past: 'led', participle: 'led', ing: 'leading'},
-      'read': {past: 'read', participle: 'read', ing: 'reading'},
-      'grow': {past: 'grew', participle: 'grown', ing: 'growing'},
-      'lose': {past: 'lost', participle: 'lost', ing: 'losing'},
-      'fall': {past: 'fell', participle: 'fallen', ing: 'falling'},
-      'send': {past: 'sent', participle: 'sent', ing: 'sending'},
-      'build': {past: 'built', participle: 'built', ing: 'building'},
-      'understand': {past: 'understood', participle: 'understood', ing: 'understanding'},
-      'draw': {past: 'drew', participle: 'drawn', ing: 'drawing'},
-      'break': {past: 'broke', participle: 'broken', ing: 'breaking'},
-      'spend': {past: 'spent', participle: 'spent', ing: 'spending'},
-      'cut': {past: 'cut', participle: 'cut', ing: 'cutting'},
-      'rise': {past: 'rose', participle: 'risen', ing: 'rising'},
-      'drive': {past: 'drove', participle: 'driven', ing: 'driving'},
-      'buy': {past: 'bought', participle: 'bought', ing: 'buying'},
-      'wear': {past: 'wore', participle: 'worn', ing: 'wearing'},
-      'choose': {past: 'chose', participle: 'chosen', ing: 'choosing'},
-      // Thêm một số động từ phổ biến khác
-      'teach': {past: 'taught', participle: 'taught', ing: 'teaching'},
-      'catch': {past: 'caught', participle: 'caught', ing: 'catching'},
-      'fight': {past: 'fought', participle: 'fought', ing: 'fighting'},
-      'forget': {past: 'forgot', participle: 'forgotten', ing: 'forgetting'},
-      'hide': {past: 'hid', participle: 'hidden', ing: 'hiding'},
-      'ring': {past: 'rang', participle: 'rung', ing: 'ringing'},
-      'sing': {past: 'sang', participle: 'sung', ing: 'singing'},
-      'swim': {past: 'swam', participle: 'swum', ing: 'swimming'},
-      'throw': {past: 'threw', participle: 'thrown', ing: 'throwing'},
-      'wake': {past: 'woke', participle: 'woken', ing: 'waking'},
-      'win': {past: 'won', participle: 'won', ing: 'winning'},
-    };
-    
-    if (irregularVerbs[verb]) {
-      return irregularVerbs[verb];
-    }
-    
-    // Tạo regular forms
-    let past, participle, ing;
-    
-    // Past và Past Participle (regular)
-    if (verb.endsWith('e')) {
-      past = verb + 'd';
-      participle = verb + 'd';
-    } else if (verb.endsWith('y') && !/[aeiou]y$/.test(verb)) {
-      const stem = verb.slice(0, -1);
-      past = stem + 'ied';
-      participle = stem + 'ied';
-    } else if (/[^aeiou][aeiou][^aeiouw][^aeiouwy]?$/.test(verb) && verb.length > 2 && verb.length <= 6) {
-      // CVC pattern cải tiến - chỉ double consonant cho từ ngắn (2-6 ký tự)
-      // và không áp dụng cho từ kết thúc bằng w, y, hoặc có 2 consonants liên tiếp
-      const lastChar = verb.slice(-1);
-      if (!['w', 'y', 'x'].includes(lastChar) && !/[^aeiou]{2}$/.test(verb)) {
-        past = verb + lastChar + 'ed';
-        participle = verb + lastChar + 'ed';
-      } else {
-        past = verb + 'ed';
-        participle = verb + 'ed';
-      }
-    } else {
-      past = verb + 'ed';
-      participle = verb + 'ed';
-    }
-    
-    // V-ing form
-    if (verb.endsWith('e') && !verb.endsWith('ee') && !verb.endsWith('oe') && !verb.endsWith('ye')) {
-      ing = verb.slice(0, -1) + 'ing';
-    } else if (verb.endsWith('ie')) {
-      ing = verb.slice(0, -2) + 'ying';
-    } else if (/[^aeiou][aeiou][^aeiouw]$/.test(verb) && verb.length > 2 && verb.length <= 6) {
-      // CVC pattern cải tiến cho -ing form
-      const lastChar = verb.slice(-1);
-      if (!['w', 'y', 'x'].includes(lastChar) && !/[^aeiou]{2}$/.test(verb)) {
-        ing = verb + lastChar + 'ing';
-      } else {
-        ing = verb + 'ing';
-      }
-    } else {
-      ing = verb + 'ing';
+const MORPH_POS = { verb: "verb", noun: "noun", adjective: "adjective" };
+
+// Định nghĩa kiểu Wiktionary của dạng biến đổi: "simple past tense and past participle of play", "plural of child"
+const INFLECTION_DEFINITION = /\b(?:plural|past|participle|third-person|comparative|superlative)\b[^.;:]*?\bof ([a-z]+)\b/i;
+const MAX_BASE_LOOKUPS = 3;
+
+/**
+ * Nếu từ là dạng biến đổi (running, studied, children, bigger...) thì tìm dạng gốc.
+ * Tra chính mục từ trước (dict, đã có sẵn khi dựng thẻ): định nghĩa "... of <gốc>" cho gốc ngay,
+ * mục từ có nghĩa riêng (number, outer, species) là từ gốc -> null mà không gọi thêm request.
+ * Dạng bất quy tắc tra bảng; chỉ khi chính từ không có trong từ điển mới xác nhận gốc qua từ điển,
+ * gốc có trong lexicon được thử trước.
+ */
+async function resolveBaseForm(word, dict) {
+  const candidates = lemmatize(word);
+  if (!candidates.length) return null;
+  const definitions = (dict?.meanings || []).flatMap(m => m.definitions || []).map(d => d?.definition || "");
+  for (const text of definitions) {
+    const lemma = text.match(INFLECTION_DEFINITION)?.[1].toLowerCase();
+    const stated = lemma && candidates.find(c => c.lemma === lemma);
+    if (stated) return stated;
+  }
+  const irregular = candidates.find(c => c.pos === "verb" && IRREGULAR_VERBS[c.lemma] && !/ing|third/.test(c.form));
+  if (irregular) return irregular;
+  if (definitions.length) return null;
+
+  const lexicon = new Set(await loadLexicon().catch(() => []));
+  for (const c of lemmatize(word, { isWord: w => lexicon.has(w) }).slice(0, MAX_BASE_LOOKUPS)) {
+    try {
+      const entry = await fetchDictionary(c.lemma);
+      const posList = (entry?.meanings || []).map(m => m.partOfSpeech);
+      if (posList.includes(c.pos)) return c;
+    } catch (err) {
+      console.error("Không kiểm tra được dạng gốc", c.lemma, err);
     }
-    
-    return { past, participle, ing };
-  } catch (error) {
-    console.error("Error fetching verb forms:", error);
-    return null;
   }
+  return null;
+}
+
+// Các dạng biến đổi hiển thị trên thẻ theo từ loại của từ gốc
+function buildWordForms(base, allPOS = []) {
+  const has = (pos) => allPOS.some(p => String(p).toLowerCase() === pos);
+  return {
+    verb: has(MORPH_POS.verb) ? conjugate(base) : null,
+    plural: has(MORPH_POS.noun) ? pluralize(base) : null,
+    adjective: has(MORPH_POS.adjective) ? compare(base) : null,
+  };
+}
+
+// ---------------- Routing ----------------
+/**
+ * Đường dẫn chia sẻ được (serve -s trả index.html cho mọi đường dẫn):
+ * - /word/:w — một từ (chế độ học, deck mặc định)
+ * - /review, /deck/:name — chế độ ôn tập / deck đang chọn; từ đang xem nằm ở ?w= để đường dẫn chế độ/deck không bị thay mất
+ * Deck được nhắc tới bằng tên (id deck là giá trị riêng của từng máy), id vẫn được nhận cho link cũ.
+ */
+function parseRoute({ pathname, search } = window.location) {
+  const [head, arg] = pathname.split("/").filter(Boolean).map(p => {
+    try { return decodeURIComponent(p); } catch { return p; }
+  });
+  const word = new URLSearchParams(search).get("w")?.trim().toLowerCase() || null;
+  if (head === "word" && arg) return { view: "word", word: arg.trim().toLowerCase() };
+  if (head === "review") return { view: "review", word };
+  if (head === "deck" && arg) return { view: "deck", deckRef: arg, word };
+  return { view: "home", word };
+}
+
+function wordPath(w) {
+  return `/word/${encodeURIComponent(w.toLowerCase())}`;
+}
+
+function deckPath(deck) {
+  return `/deck/${encodeURIComponent(deck.name)}`;
 }
+
+// Deck theo tham chiếu trong URL: id (link cũ / cùng máy) hoặc tên không phân biệt hoa thường
+function findDeck(state, ref) {
+  const key = String(ref || "").trim().toLowerCase();
+  return state.decks.find(d => d.id === ref) || state.decks.find(d => d.id !== DEFAULT_DECK_ID && d.name?.trim().toLowerCase() === key) || null;
+}
+
+// Đường dẫn cho chế độ/deck/từ đang xem
+function routePath({ mode, deck, word }) {
+  const base = mode === "review" ? "/review" : deck && deck.id !== DEFAULT_DECK_ID ? deckPath(deck) : null;
+  if (!base) return word ? wordPath(word) : "/";
+  return word ? `${base}?w=${encodeURIComponent(word.toLowerCase())}` : base;
+}
+
+function setURL(path, state = null, replace = false) {
+  if (replace) window.history.replaceState(state, "", path);
+  else window.history.pushState(state, "", path);
+}
+
 // ---------------- App ----------------
 export default function App() {
-  const [seen, setSeen] = useState(() => loadSeen());
+  const [profileState, setProfileState] = useState(() => loadProfiles());
+
+  function updateProfiles(next) {
+    saveProfiles(next);
+    setProfileState(next);
+  }
+
+  // id = null -> tạo hồ sơ mới và chuyển sang hồ sơ đó
+  function handleSaveProfile({ id, name }) {
+    if (id) {
+      updateProfiles({ ...profileState, profiles: profileState.profiles.map(p => p.id === id ? { ...p, name } : p) });
+      return;
+    }
+    const profile = { id: `p_${Date.now().toString(36)}`, name, createdAt: Date.now() };
+    updateProfiles({ activeId: profile.id, profiles: [...profileState.profiles, profile] });
+  }
+
+  function handleDeleteProfile(id) {
+    const profiles = profileState.profiles.filter(p => p.id !== id);
+    if (!profiles.length) return;
+    removeProfileData(id);
+    updateProfiles({ activeId: profileState.activeId === id ? profiles[0].id : profileState.activeId, profiles });
+  }
+
+  // Bản sao lưu hồ sơ luôn được nhập thành hồ sơ mới, không gộp vào hồ sơ đang dùng
+  async function handleImportProfile(file) {
+    const data = parseProfileFile(await file.text());
+    const names = new Set(profileState.profiles.map(profileName));
+    const baseName = String(data.name || "").trim() || t("profile.importedName");
+    let name = baseName;
+    for (let i = 2; names.has(name); i++) name = `${baseName} (${i})`;
+    const profile = { id: `p_${Date.now().toString(36)}`, name, createdAt: Date.now() };
+    if (!writeProfileData(profile.id, data)) throw new Error(t("storage.full"));
+    updateProfiles({ activeId: profile.id, profiles: [...profileState.profiles, profile] });
+  }
+
+  // Đổi hồ sơ -> key mới làm React dựng lại toàn bộ state (thẻ, lịch sử, hàng đợi) từ storage của hồ sơ đó
+  return (
+    <LearnerApp
+      key={profileState.activeId}
+      profileId={profileState.activeId}
+      profiles={profileState.profiles}
+      onSwitchProfile={(id) => updateProfiles({ ...profileState, activeId: id })}
+      onSaveProfile={handleSaveProfile}
+      onDeleteProfile={handleDeleteProfile}
+      onImportProfile={handleImportProfile}
+    />
+  );
+}
+
+function LearnerApp({ profileId, profiles, onSwitchProfile, onSaveProfile, onDeleteProfile, onImportProfile }) {
+  const [settings, setSettings] = useState(() => loadSettings(profileId));
+  const uiLang = UI_LANGUAGES[settings.uiLang] ? settings.uiLang : detectLocale();
+  setLocale(uiLang); // đặt trước khi render để cả các hàm ngoài component cũng dùng đúng ngôn ngữ
+  const glossLang = GLOSS_LANGUAGES[settings.glossLang] ? settings.glossLang : DEFAULT_GLOSS_LANG;
+  const glossLabel = t(`gloss.${glossLang}`); // dùng trong câu "nghĩa ..."
+  const glossCode = glossLang.toUpperCase();
+  const [store, setStore] = useState(() => loadStore(glossLang, profileId));
+  const seen = useMemo(() => new Set(Object.keys(store.words)), [store]);
+  const schedule = useMemo(() => scheduleFromStore(store), [store]);
+  const cards = useMemo(() => cardsFromStore(store), [store]);
+  const [deckState, setDeckState] = useState(() => {
+    // Mở bằng /deck/:name -> chọn sẵn deck đó
+    const state = loadDecks(profileId);
+    const route = parseRoute();
+    const deck = route.view === "deck" ? findDeck(state, route.deckRef) : null;
+    return deck ? { ...state, activeId: deck.id } : state;
+  });
+  const [showDecks, setShowDecks] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({ state: "idle" }); // { state: "idle" | "syncing" | "ok" | "error", at?, error? }
+  const [editingNotes, setEditingNotes] = useState(false);
+  const [seenFilter, setSeenFilter] = useState("");
+  const [showStats, setShowStats] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [mode, setMode] = useState(() => parseRoute().view === "review" ? "review" : "learn"); // "learn" | "review"
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [word, setWord] = useState(null); // {text,pos,phonetic,audioUrl,definitions,wordTranslations}
-  const [related, setRelated] = useState({ n: [], v: [], adj: [], adv: [] });
+  const [related, setRelated] = useState(EMPTY_RELATED);
   const [syns, setSyns] = useState([]);
   const [showSeen, setShowSeen] = useState(false);
   const [definitionVI, setDefinitionVI] = useState([]);
   const [showingDefinitionVI, setShowingDefinitionVI] = useState(false);
   const [showSearch, setShowSearch] = useState(false);
+  const [showQuiz, setShowQuiz] = useState(false);
+  const [showDictation, setShowDictation] = useState(false);
   const [searchInput, setSearchInput] = useState("");
-  const [verbForms, setVerbForms] = useState(null); // {past, participle, ing}
+  const [lexicon, setLexicon] = useState(null); // danh sách từ theo tần suất, tải khi mở tìm kiếm
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+  const [searchHint, setSearchHint] = useState(null); // { term, corrections } khi không tìm thấy từ
+  const [searchDir, setSearchDir] = useState("en"); // "en": Anh -> nghĩa, "reverse": tra ngược nghĩa -> Anh
+  const [reverseResults, setReverseResults] = useState(null); // { query, loading, items }
+  const [fullEntry, setFullEntry] = useState(null); // { word, entries, loading } khi mở mục từ đầy đủ
+  const [wordForms, setWordForms] = useState(null); // { verb: {base, third, past, participle, ing}, plural, adjective: {comparative, superlative} }
+  const [swipePreview, setSwipePreview] = useState(null); // "left" | "right" | "up" | "down" | null
+  const [packSize, setPackSize] = useState(() => loadOfflinePack().length);
+  const [packProgress, setPackProgress] = useState(null); // {done, total} khi đang tải gói offline
+  const [readyCount, setReadyCount] = useState(0); // số thẻ đã chuẩn bị sẵn
+  const [historyPos, setHistoryPos] = useState({ index: -1, length: 0 });
+  const [lastSwipe, setLastSwipe] = useState(null); // { word, at, prevRecord, deckId, addedToDeck, historyIndex }
+  const online = useOnlineStatus();
+  const [providerIssues, setProviderIssues] = useState(getProviderStatus); // provider đang lỗi, ẩn được tới lần đổi sau
   const cardRef = useRef(null);
   const searchInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const prefetchRef = useRef({ queue: [], running: false });
+  const historyRef = useRef({ entries: [], index: -1, nextId: 1 }); // các thẻ đã xem trong phiên
+  const syncedStoreRef = useRef(null); // store vừa nhận từ server, không cần gửi lại
+  // Giá trị mới nhất cho các vòng lặp async chạy nền (tránh closure cũ)
+  const latestRef = useRef({});
 
-  usePointerSwipe(cardRef, { onSwipeLeft: handleSwipeLeft });
+  usePointerSwipe(cardRef, {
+    onSwipeLeft: () => handleRate(SWIPE_RATINGS.left.rating),
+    onSwipeRight: () => handleRate(SWIPE_RATINGS.right.rating),
+    onSwipeUp: () => handleRate(SWIPE_RATINGS.up.rating),
+    onSwipeDown: () => handleRate(SWIPE_RATINGS.down.rating),
+    onPreview: setSwipePreview,
+  });
 
   const seenList = useMemo(() => Array.from(seen).sort(), [seen]);
+  const filteredSeenList = useMemo(
+    () => seenList.filter(w => recordMatches(w, store.words[w], seenFilter)),
+    [seenList, store, seenFilter]
+  );
+  const currentRecord = word ? store.words[word.text.toLowerCase()] : null;
+  const activeDeck = deckState.decks.find(d => d.id === deckState.activeId) || DEFAULT_DECK;
+  const dueWords = useMemo(() => getDueWords(schedule), [schedule]);
+  latestRef.current = { seen, activeDeck, word, store, deckState, glossLang, mode };
 
   useEffect(() => { 
     // Load voices for speech synthesis
@@ -446,15 +1651,96 @@ export default function App() {
         };
       }
     }
-    loadWord(); 
+    const route = parseRoute();
+    if (route.view === "deck" && !findDeck(deckState, route.deckRef)) setNotice(t("deck.linkNotFound", { name: route.deckRef }));
+    if (route.word) openLinkedWord(route.word);
+    else loadWord();
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = uiLang;
+  }, [uiLang]);
+
+  // Nút back/forward của trình duyệt: chế độ/deck theo URL, rồi quay lại thẻ trong lịch sử hoặc mở từ theo URL.
+  // Listener gắn một lần nên gọi qua ref để luôn dùng state mới nhất
+  function handlePopState(e) {
+    const route = parseRoute();
+    setMode(route.view === "review" ? "review" : "learn");
+    const deck = route.view === "deck" ? findDeck(deckState, route.deckRef) : null;
+    if (deck && deck.id !== activeDeck.id) switchDeck(deck.id, { fromUrl: true });
+    const history = historyRef.current;
+    const index = history.entries.findIndex(c => c.historyId === e.state?.cardId);
+    if (index >= 0) {
+      history.index = index;
+      showCard(history.entries[index], { fromHistory: true });
+      return;
+    }
+    if (route.word && route.word !== word?.text.toLowerCase()) openLinkedWord(route.word);
+  }
+  const popStateRef = useRef(handlePopState);
+  popStateRef.current = handlePopState;
+  useEffect(() => {
+    const listener = (e) => popStateRef.current(e);
+    window.addEventListener("popstate", listener);
+    return () => window.removeEventListener("popstate", listener);
   }, []);
 
+  // Đổi ngôn ngữ nghĩa -> dịch lại thẻ đang xem theo ngôn ngữ mới và chuẩn bị lại hàng đợi
+  const glossLangRef = useRef(glossLang);
+  useEffect(() => {
+    if (glossLangRef.current === glossLang) return;
+    glossLangRef.current = glossLang;
+    if (!word) {
+      loadWord();
+      return;
+    }
+    lookupDictionary(word.text)
+      .then(dict => dict && setFromDictionary(word.text, dict, { source: word.source, isReview: word.isReview, replaceUrl: true }))
+      .catch(err => setError(err.message || t("common.wordLoadError")))
+      .finally(() => fillPrefetchQueue());
+  }, [glossLang]);
+
+  // Đổi deck -> bỏ các thẻ đã chuẩn bị cho deck cũ
+  useEffect(() => {
+    prefetchRef.current.queue = prefetchRef.current.queue.filter(c => c.deckId === activeDeck.id);
+    setReadyCount(prefetchRef.current.queue.length);
+    fillPrefetchQueue();
+  }, [activeDeck.id]);
+
+  // Lưu store mỗi khi thay đổi; hết dung lượng thì báo cho người dùng thay vì crash
+  useEffect(() => {
+    if (!saveStore(store, glossLang, profileId)) {
+      setError(t("storage.full"));
+    }
+  }, [store]);
+
+  useEffect(() => subscribeProviderStatus(setProviderIssues), []);
+
+  // Đồng bộ vài giây sau lần thay đổi cuối (và ngay khi mở app / có mạng trở lại)
+  useEffect(() => {
+    if (!settings.syncKey || !online || store === syncedStoreRef.current) return;
+    const timer = setTimeout(() => syncNow(), syncStatus.state === "idle" ? 0 : SYNC_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [store, online, settings.syncKey, settings.syncServer, settings.syncToken]);
+
   useEffect(() => {
     if (showSearch && searchInputRef.current) {
       searchInputRef.current.focus();
     }
+    if (showSearch && !lexicon) {
+      loadLexicon().then(setLexicon).catch(err => console.error("Không tải được danh sách từ gợi ý", err));
+    }
+    if (!showSearch) { setSearchHint(null); setReverseResults(null); }
   }, [showSearch]);
 
+  const suggestions = useMemo(
+    () => searchDir === "en" ? suggestWords(searchInput, { lexicon: lexicon || [], studied: seenList }) : [],
+    [searchInput, lexicon, seenList, searchDir]
+  );
+
+  // Đang mở modal/drawer nào đó -> phím tắt của thẻ không được chạy (thẻ bị che phía sau)
+  const anyModalOpen = showSearch || showSeen || showQuiz || showDictation || showDecks || showStats || showSync || showProfiles;
+
   useEffect(() => {
     const handleKeyDown = (e) => {
       // Ctrl+K hoặc Cmd+K để mở tìm kiếm
@@ -462,42 +1748,213 @@ export default function App() {
         e.preventDefault();
         setShowSearch(true);
       }
+      // Ctrl+Z hoặc Cmd+Z để hoàn tác lần quẹt gần nhất
+      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.target.closest?.('input, textarea, select')) {
+        e.preventDefault();
+        undoSwipe();
+      }
       // Escape để đóng modal
       if (e.key === 'Escape') {
+        // Modal đồng bộ mở từ drawer "Đã xem" -> chỉ đóng modal, giữ drawer
+        if (showSync) { setShowSync(false); return; }
+        if (showProfiles) setShowProfiles(false);
         if (showSearch) setShowSearch(false);
         if (showSeen) setShowSeen(false);
+        if (showQuiz) setShowQuiz(false);
+        if (showDictation) setShowDictation(false);
+        if (showDecks) setShowDecks(false);
+        if (showStats) setShowStats(false);
+      }
+      // Phím mũi tên = quẹt theo hướng tương ứng: ←/→ trực tiếp, ↑/↓ cần giữ Shift để ↑/↓ vẫn cuộn trang.
+      // Bỏ qua khi đang focus vào nút/ô nhập và khi có Ctrl/Alt/Cmd (Alt+← là nút back của trình duyệt)
+      const arrowDirs = { ArrowLeft: "left", ArrowRight: "right", ArrowUp: "up", ArrowDown: "down" };
+      const dir = arrowDirs[e.key];
+      const vertical = dir === "up" || dir === "down";
+      if (dir && vertical === e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey
+        && !anyModalOpen
+        && !e.target.closest?.('input, textarea, select, button, a, [role="button"]')) {
+        e.preventDefault();
+        handleRate(SWIPE_RATINGS[dir].rating);
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [showSearch, showSeen]);
+  }, [showSearch, showSeen, showQuiz, showDictation, showDecks, showStats, showSync, showProfiles, word, loading, mode, schedule, seen, deckState, lastSwipe]);
 
-  async function loadWord() {
-    setLoading(true); setError("");
+  // Từ điển lỗi (timeout, hết hạn mức...) mà từ đã có trong bộ sưu tập -> dựng lại thẻ từ snapshot đã lưu
+  async function lookupDictionary(term) {
+    try {
+      return await fetchDictionary(term);
+    } catch (err) {
+      const card = latestRef.current.store.words[term.toLowerCase()]?.card;
+      if (!card?.definitions?.length) throw err;
+      console.error("Từ điển lỗi, dùng thẻ đã lưu:", term, err);
+      return dictFromSnapshot(card);
+    }
+  }
+
+  async function loadWord(exclude = word?.text) {
+    setError("");
+    // Có thẻ chuẩn bị sẵn thì hiện ngay (chế độ ôn tập vẫn ưu tiên thẻ đến hạn)
+    const hasDue = mode === "review" && getDueWords(schedule).some(w => w !== exclude);
+    const ready = hasDue ? null : takePrefetched(exclude);
+    if (ready) {
+      showCard(ready);
+      fillPrefetchQueue();
+      return;
+    }
+    setLoading(true);
     // Reset definition states when loading new word
     setDefinitionVI([]);
     setShowingDefinitionVI(false);
-    setVerbForms(null);
+    setWordForms(null);
     try {
+      // Chế độ ôn tập: phục vụ các thẻ đến hạn trước khi lấy từ mới
+      if (mode === "review") {
+        const due = getDueWords(schedule).filter(w => w !== exclude);
+        for (const candidate of due.slice(0, 3)) {
+          const dict = await lookupDictionary(candidate);
+          if (!dict) continue;
+          await setFromDictionary(candidate, dict, { isReview: true, source: "review" });
+          return;
+        }
+      }
       for (let i = 0; i < 8; i++) {
-        const candidate = await fetchDatamuseCandidate(seen);
-        if (!candidate) throw new Error("Không tìm được từ phù hợp, thử lại.");
+        const candidate = await fetchDatamuseCandidate(seen, activeDeck);
+        if (!candidate) {
+          throw new Error(activeDeck.words.length
+            ? t("load.deckFinished", { name: deckName(activeDeck) })
+            : isOffline()
+            ? t("load.offlineExhausted")
+            : t("load.noCandidate"));
+        }
         const dict = await fetchDictionary(candidate);
         if (!dict) continue;
-        await setFromDictionary(candidate, dict);
+        await setFromDictionary(candidate, dict, { source: "swipe" });
         setLoading(false);
         return;
       }
-      throw new Error("Không tìm thấy từ nào có dữ liệu từ điển phù hợp.");
+      throw new Error(t("load.noDictionary"));
+    } catch (e) {
+      setError(e.message || t("common.loadError"));
+    } finally {
+      setLoading(false);
+      fillPrefetchQueue();
+    }
+  }
+
+  // Lấy thẻ đầu hàng đợi, bỏ các thẻ đã học trong lúc chờ hoặc thuộc deck khác
+  function takePrefetched(exclude) {
+    const { seen, activeDeck } = latestRef.current;
+    const state = prefetchRef.current;
+    const { glossLang } = latestRef.current;
+    state.queue = state.queue.filter(c => c.deckId === activeDeck.id && c.word.glossLang === glossLang && !seen.has(c.word.text) && c.word.text !== exclude);
+    const card = state.queue.shift() || null;
+    setReadyCount(state.queue.length);
+    return card;
+  }
+
+  // Chuẩn bị nền PREFETCH_SIZE thẻ đầy đủ dữ liệu (từ điển, nghĩa, dạng từ, từ liên quan)
+  async function fillPrefetchQueue() {
+    const state = prefetchRef.current;
+    if (state.running) return;
+    state.running = true;
+    try {
+      let misses = 0;
+      while (state.queue.length < PREFETCH_SIZE && misses < 8) {
+        const { seen, activeDeck, word } = latestRef.current;
+        const taken = new Set(seen);
+        for (const c of state.queue) taken.add(c.word.text);
+        if (word?.text) taken.add(word.text.toLowerCase());
+        const candidate = await fetchDatamuseCandidate(taken, activeDeck);
+        if (!candidate) break;
+        const dict = await fetchDictionary(candidate);
+        if (!dict) { misses++; continue; }
+        const card = await buildCard(candidate, dict, { source: "swipe" });
+        [card.related, card.syns] = await Promise.all([fetchRelatedPOS(candidate), fetchSynonyms(candidate)])
+          .catch(() => [EMPTY_RELATED, []]);
+        card.deckId = activeDeck.id;
+        // Deck/ngôn ngữ đã đổi hoặc từ vừa được học trong lúc tải -> bỏ thẻ này
+        const latest = latestRef.current;
+        if (latest.activeDeck.id !== card.deckId || latest.glossLang !== card.word.glossLang || latest.seen.has(candidate)) continue;
+        if (state.queue.some(c => c.word.text === candidate)) continue;
+        state.queue.push(card);
+        setReadyCount(state.queue.length);
+      }
+    } catch (err) {
+      console.error("Không chuẩn bị được thẻ tiếp theo:", err);
+    } finally {
+      state.running = false;
+    }
+  }
+
+  async function setFromDictionary(candidate, dict, extra = {}) {
+    showCard(await buildCard(candidate, dict, extra), { replaceUrl: extra.replaceUrl });
+  }
+
+  // Mở từ theo liên kết: không đánh dấu thẻ đang xem là đã học, thay URL hiện tại thay vì thêm mới
+  async function openLinkedWord(term) {
+    setLoading(true); setError("");
+    try {
+      const dict = await lookupDictionary(term);
+      if (!dict) throw new Error(t("load.notFound", { word: term }));
+      await setFromDictionary(term, dict, { source: "link", replaceUrl: true });
     } catch (e) {
-      setError(e.message || "Lỗi tải dữ liệu.");
+      setError(e.message || t("common.wordLoadError"));
     } finally {
       setLoading(false);
+      fillPrefetchQueue();
+    }
+  }
+
+  // Hiện một thẻ đã dựng sẵn; thẻ chưa có từ liên quan thì tải sau khi hiện.
+  // fromHistory: đang quay lại/tiến tới nên không ghi thêm vào lịch sử.
+  // replaceUrl: thay mục hiện tại của lịch sử trình duyệt thay vì thêm mục mới
+  function showCard(card, { fromHistory = false, replaceUrl = false } = {}) {
+    const candidate = card.word.text;
+    setEditingNotes(false);
+    setDefinitionVI([]);
+    setShowingDefinitionVI(false);
+    setWordForms(card.wordForms);
+    setWord(card.word);
+    setFullEntry(null);
+
+    const history = historyRef.current;
+    if (!fromHistory) {
+      card.historyId = history.nextId;
+      const { mode, activeDeck } = latestRef.current;
+      setURL(routePath({ mode, deck: activeDeck, word: candidate }), { cardId: card.historyId }, replaceUrl || history.entries.length === 0);
+      const entries = [...history.entries.slice(0, history.index + 1), card].slice(-HISTORY_LIMIT);
+      historyRef.current = { entries, index: entries.length - 1, nextId: history.nextId + 1 };
+      // Mở lại một từ đã có trong bộ sưu tập -> tăng số lần tra
+      const lower = candidate.toLowerCase();
+      setStore(prev => prev.words[lower]
+        ? { ...prev, words: { ...prev.words, [lower]: { ...prev.words[lower], lookups: (prev.words[lower].lookups || 0) + 1, lastSeen: Date.now() } } }
+        : prev);
     }
+    setHistoryPos({ index: historyRef.current.index, length: historyRef.current.entries.length });
+
+    if (card.related) {
+      setRelated(card.related);
+      setSyns(card.syns || []);
+      return;
+    }
+    Promise.all([fetchRelatedPOS(candidate), fetchSynonyms(candidate)])
+      .then(([rel, syn]) => { card.related = rel; card.syns = syn; setRelated(rel); setSyns(syn); })
+      .catch(() => { setRelated(EMPTY_RELATED); setSyns([]); })
   }
 
-  async function setFromDictionary(candidate, dict) {
+  // Đi qua lịch sử trình duyệt để nút back/forward và nút trên màn hình luôn khớp nhau
+  function goHistory(step) {
+    const history = historyRef.current;
+    const index = history.index + step;
+    if (loading || index < 0 || index >= history.entries.length) return;
+    window.history.go(step);
+  }
+
+  // Dựng dữ liệu thẻ từ kết quả từ điển, không đụng tới state (dùng được cho hàng đợi nền)
+  async function buildCard(candidate, dict, extra = {}) {
     console.log("Dictionary data for", candidate, dict); // Debug log
     
     const meanings = dict.meanings || [];
@@ -548,123 +2005,61 @@ export default function App() {
     
     console.log("Final audioUrl:", audioUrl); // Debug log
 
-    // Lấy nhiều nghĩa tiếng Việt
-    const wordTranslations = await fetchVietnameseMeanings(candidate, allDefinitions);
-    
-    // Reset definition state
-    setDefinitionVI([]);
-    setShowingDefinitionVI(false);
+    // Lấy nhiều nghĩa theo ngôn ngữ đang học
+    const lang = latestRef.current.glossLang;
+    // Dịch lỗi -> dùng nghĩa đã lưu của từ này (nếu có) thay vì bỏ cả thẻ
+    const gloss = await fetchGlossMeanings(candidate, lang).catch(err => {
+      console.error("Không dịch được", candidate, err);
+      const rec = latestRef.current.store.words[candidate.toLowerCase()];
+      return { text: glossOf(rec), sources: rec?.card?.glossSources || [] };
+    });
     
-    // Kiểm tra nếu từ là động từ thì lấy các dạng động từ
-    const isVerb = Array.from(allPOS).some(pos => pos.toLowerCase() === 'verb' || pos.toLowerCase() === 'v');
-    let verbFormsData = null;
-    if (isVerb) {
-      verbFormsData = await fetchVerbForms(candidate);
-      setVerbForms(verbFormsData);
-    } else {
-      setVerbForms(null);
-    }
+    // Từ đang ở dạng biến đổi -> tìm dạng gốc và chia theo dạng gốc
+    const baseForm = await resolveBaseForm(candidate, dict);
+    const wordForms = baseForm
+      ? buildWordForms(baseForm.lemma, [baseForm.pos])
+      : buildWordForms(candidate, Array.from(allPOS));
     
-    setWord({ 
+    const word = { 
       text: candidate, 
       pos: allPOSString, // Hiển thị tất cả các từ loại
       allPOS: Array.from(allPOS), // Lưu danh sách các từ loại
       phonetic, 
       audioUrl, 
       definitions: allDefinitions.slice(0, 4), // Tăng lên 4 định nghĩa
-      wordTranslations 
-    });
-
-    Promise.all([fetchRelatedPOS(candidate), fetchSynonyms(candidate)])
-      .then(([rel, syn]) => { setRelated(rel); setSyns(syn); })
-      .catch(() => { setRelated({ n: [], v: [], adj: [], adv: [] }); setSyns([]); })
+      wordTranslations: gloss.text,
+      glossSources: gloss.sources,
+      isReview: !!extra.isReview,
+      source: extra.source || "swipe",
+      baseForm,
+      glossLang: lang
+    };
+    return { word, wordForms };
   }
 
-  async function fetchVietnameseMeanings(word, definitions) {
-    try {
-      // 1. Dịch trực tiếp từ để lấy các nghĩa cơ bản
-      const directUrl = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(word)}&langpair=en|vi`;
-      const directRes = await fetch(directUrl);
-      const directData = await directRes.json();
-      const directTranslation = directData?.responseData?.translatedText || "";
-      
-      // 2. Lấy các matches khác (nếu có) để có nhiều nghĩa hơn
-      const matches = directData?.matches || [];
-      const uniqueMeanings = new Set();
-      
-      // Thêm nghĩa chính
-      if (directTranslation) {
-        uniqueMeanings.add(directTranslation.toLowerCase());
-      }
-      
-      // Thêm các nghĩa từ matches (lấy tối đa 3-4 nghĩa khác nhau)
-      for (const match of matches) {
-        if (match?.translation && uniqueMeanings.size < 4) {
-          const trans = match.translation.toLowerCase().trim();
-          if (trans && trans !== directTranslation.toLowerCase()) {
-            uniqueMeanings.add(trans);
-          }
-        }
-      }
-      
-      // 3. Nếu chỉ có 1 nghĩa, thử tách theo dấu phẩy/chấm phẩy
-      if (uniqueMeanings.size === 1 && directTranslation) {
-        const parts = directTranslation.split(/[,;\/]/).map(p => p.trim()).filter(p => p);
-        if (parts.length > 1) {
-          uniqueMeanings.clear();
-          parts.slice(0, 4).forEach(p => uniqueMeanings.add(p.toLowerCase()));
-        }
-      }
-      
-      // Chuyển về array và format lại
-      const finalMeanings = Array.from(uniqueMeanings)
-        .map(m => m.charAt(0).toUpperCase() + m.slice(1))
-        .slice(0, 3); // Giới hạn 3 nghĩa
-      
-      return finalMeanings.join("; ");
-    } catch (error) {
-      console.error("Error fetching Vietnamese meanings:", error);
-      // Fallback to simple translation
-      return await translateTextENtoVI(word);
-    }
+  // Nghĩa đã xếp hạng kèm nguồn -> { text: "nghĩa 1; nghĩa 2", sources: [...] }
+  async function fetchGlossMeanings(word, lang = glossLang) {
+    const data = await providers.translator.translate(word, { from: "en", to: lang });
+    const sources = rankGlossMeanings(word, data, providers.translator.name);
+    return { text: sources.map(m => m.text).join("; "), sources };
   }
 
   async function fetchRelatedPOS(base) {
-    // Lấy cả các từ liên quan và các dạng từ loại của cùng từ gốc
-    const [related, forms] = await Promise.all([
-      // Lấy từ liên quan
-      fetch(`https://api.datamuse.com/words?ml=${encodeURIComponent(base)}&md=p&max=100`).then(r => r.json()),
-      // Lấy các dạng của từ gốc (như "run" -> "running", "ran", "runner")
-      fetch(`https://api.datamuse.com/words?rel_jjb=${encodeURIComponent(base)}&md=p&max=50`).then(r => r.json())
-        .then(r1 => 
-          fetch(`https://api.datamuse.com/words?rel_jja=${encodeURIComponent(base)}&md=p&max=50`).then(r => r.json())
-            .then(r2 => [...r1, ...r2])
-        )
+    // Họ từ lấy từ các từ có cùng gốc chính tả ("decid*"), lọc lại bằng phân tích hậu tố/tiền tố;
+    // gốc trung gian phải là từ có thật (ứng viên hoặc lexicon)
+    const lexicon = new Set(await loadLexicon().catch(() => []));
+    const isWord = (w) => lexicon.has(w);
+    const [related, spelled] = await Promise.all([
+      providers.wordSource.words({ meansLike: base, max: 100 }),
+      providers.wordSource.words({ spelledLike: familySearchPattern(base, { isWord }), max: 200 }),
     ]);
-    
-    const bucket = { n: [], v: [], adj: [], adv: [] };
-    
-    // Xử lý các dạng của từ gốc trước (ưu tiên cao hơn)
-    for (const it of forms) {
-      if (!it.word) continue;
-      const w = it.word.toLowerCase();
-      const b = base.toLowerCase();
-      
-      // Chỉ lấy các từ có liên quan đến từ gốc (cùng gốc từ)
-      if (!w.includes(b.substring(0, Math.min(3, b.length))) && !b.includes(w.substring(0, Math.min(3, w.length)))) {
-        continue;
-      }
-      
-      const tags = it.tags || [];
-      if (tags.includes('n') && bucket.n.length < 4) bucket.n.unshift(it.word);
-      if (tags.includes('v') && bucket.v.length < 4) bucket.v.unshift(it.word);
-      if (tags.includes('adj') && bucket.adj.length < 4) bucket.adj.unshift(it.word);
-      if (tags.includes('adv') && bucket.adv.length < 4) bucket.adv.unshift(it.word);
-    }
-    
-    // Sau đó thêm các từ liên quan khác
+
+    const family = wordFamily(base, spelled, { isWord });
+    const familyWords = new Set(family.map(f => f.word));
+    const bucket = { family, n: [], v: [], adj: [], adv: [] };
+
     for (const it of related) {
-      if (!it.word || it.word.toLowerCase() === base.toLowerCase()) continue;
+      if (!it.word || it.word.toLowerCase() === base.toLowerCase() || familyWords.has(it.word.toLowerCase())) continue;
       const tags = it.tags || [];
       if (tags.includes('n') && bucket.n.length < 8) bucket.n.push(it.word);
       if (tags.includes('v') && bucket.v.length < 8) bucket.v.push(it.word);
@@ -673,7 +2068,7 @@ export default function App() {
     }
     
     // Loại bỏ trùng lặp
-    for (const key of Object.keys(bucket)) {
+    for (const key of ['n', 'v', 'adj', 'adv']) {
       bucket[key] = [...new Set(bucket[key])];
     }
     
@@ -681,8 +2076,7 @@ export default function App() {
   }
 
   async function fetchSynonyms(base) {
-    const url = `https://api.datamuse.com/words?rel_syn=${encodeURIComponent(base)}&md=p&max=50`;
-    const res = await fetch(url).then(r => r.json());
+    const res = await providers.wordSource.words({ synonymOf: base, max: 50 });
     const out = [];
     const seenW = new Set();
     for (const it of res) {
@@ -697,73 +2091,292 @@ export default function App() {
     return out;
   }
 
+  // Tải trước một gói từ (từ điển + nghĩa + từ liên quan) vào cache để học khi không có mạng
+  async function downloadOfflinePack() {
+    if (packProgress || isOffline()) return;
+    const pack = new Set(loadOfflinePack());
+    const target = pack.size + OFFLINE_PACK_SIZE;
+    setPackProgress({ done: 0, total: OFFLINE_PACK_SIZE });
+    try {
+      // Deck có danh sách cố định: tải đúng các từ đó; còn lại lấy theo seeds của deck
+      const seeds = activeDeck.words.length ? [null] : shuffle(activeDeck.seeds.length ? activeDeck.seeds : TOPIC_SEEDS);
+      for (const seed of seeds) {
+        if (pack.size >= target) break;
+        const words = (seed ? (await providers.wordSource.words({ meansLike: seed, max: 30 })).map(w => w.word || "") : activeDeck.words)
+          .map(w => w.toLowerCase())
+          .filter(w => /^[a-z]{3,}$/.test(w) && !seen.has(w) && !pack.has(w));
+        for (const w of words) {
+          if (pack.size >= target) break;
+          try {
+            const dict = await fetchDictionary(w);
+            if (!dict) continue;
+            await Promise.all([fetchGlossMeanings(w), fetchRelatedPOS(w), fetchSynonyms(w)]);
+            pack.add(w);
+            saveOfflinePack(Array.from(pack));
+            setPackSize(pack.size);
+            setPackProgress({ done: pack.size - (target - OFFLINE_PACK_SIZE), total: OFFLINE_PACK_SIZE });
+          } catch (err) {
+            // Provider hết hạn mức / bị giới hạn -> dừng hẳn thay vì thử từng từ còn lại
+            if (err instanceof RequestError && (err.kind === "quota" || err.kind === "rateLimit")) throw err;
+            console.error("Lỗi tải gói offline cho từ", w, err);
+          }
+        }
+      }
+    } catch (e) {
+      setError(t("offline.interrupted", { error: e.message || e }));
+    } finally {
+      setPackProgress(null);
+    }
+  }
+
   function addToSeen(w) {
     if (!w) return;
     const lower = w.toLowerCase();
-    if (!seen.has(lower)) {
-      const next = new Set(seen);
-      next.add(lower);
-      setSeen(next);
-      saveSeen(next);
+    const isCurrent = word && word.text.toLowerCase() === lower;
+    setStore(prev => {
+      const now = Date.now();
+      const isNew = !prev.words[lower];
+      const rec = isNew
+        ? newRecord(now, isCurrent ? word.source : "manual")
+        : { ...prev.words[lower], lastSeen: now };
+      // Lưu snapshot thẻ đang hiển thị để có thể xuất file sau này
+      if (isCurrent) rec.card = cardSnapshot(word);
+      const next = { ...prev, words: { ...prev.words, [lower]: rec } };
+      return isNew ? appendEvent(next, { type: "learn", word: lower, at: now }) : next;
+    });
+    // Ghi nhận tiến độ cho deck đang chọn
+    if (!activeDeck.learned.includes(lower) && (!activeDeck.words.length || activeDeck.words.includes(lower))) {
+      updateDecks(state => ({
+        ...state,
+        decks: state.decks.map(d => d.id === state.activeId && !d.learned.includes(lower) ? { ...d, learned: [...d.learned, lower] } : d),
+      }));
     }
   }
 
-  async function handleSwipeLeft() {
-    if (!word) return;
-    addToSeen(word.text);
+  function rateWord(w, rating) {
+    if (!w) return;
+    const lower = w.toLowerCase();
+    const firstTime = !latestRef.current.store.words[lower];
+    addToSeen(lower);
+    setStore(prev => rateRecord(prev, lower, rating, Date.now(), { firstTime }));
+  }
+
+  async function handleRate(rating) {
+    if (!word || loading) return;
+    // Ghi lại trạng thái trước khi quẹt để có thể hoàn tác
+    const lower = word.text.toLowerCase();
+    setLastSwipe({
+      word: lower,
+      at: Date.now(),
+      prevRecord: latestRef.current.store.words[lower] || null,
+      deckId: activeDeck.id,
+      addedToDeck: !activeDeck.learned.includes(lower) && (!activeDeck.words.length || activeDeck.words.includes(lower)),
+      historyIndex: historyRef.current.index,
+    });
+    rateWord(word.text, rating);
     await new Promise(r => setTimeout(r, 120));
     loadWord();
   }
 
+  // Hoàn tác lần quẹt gần nhất: trả bản ghi, nhật ký và tiến độ deck về như trước rồi mở lại thẻ đó
+  function undoSwipe() {
+    if (!lastSwipe || loading) return;
+    const { word: w, at, prevRecord, deckId, addedToDeck, historyIndex } = lastSwipe;
+    // Từ mới được quẹt lần đầu: xoá kèm tombstone như handleRemoveSeen, nếu không lần đồng bộ sau sẽ trả nó về
+    setStore(prev => {
+      const words = { ...prev.words };
+      const deleted = prevRecord ? prev.deleted : { ...(prev.deleted || {}), [w]: Date.now() };
+      if (prevRecord) words[w] = prevRecord;
+      else delete words[w];
+      return { ...prev, words, events: (prev.events || []).filter(e => !(e.word === w && e.at >= at)), ...(deleted ? { deleted } : {}) };
+    });
+    if (addedToDeck) {
+      updateDecks(state => ({
+        ...state,
+        decks: state.decks.map(d => d.id === deckId ? { ...d, learned: d.learned.filter(x => x !== w) } : d),
+      }));
+    }
+    setLastSwipe(null);
+
+    // Thẻ mới lấy sau cú quẹt được trả lại hàng đợi để không mất
+    const history = historyRef.current;
+    const current = history.entries[history.index];
+    if (current && current.word.source === "swipe" && !current.word.isReview && current.word.text !== w) {
+      prefetchRef.current.queue.unshift({ ...current, deckId: activeDeck.id });
+      setReadyCount(prefetchRef.current.queue.length);
+    }
+    const swiped = history.entries[historyIndex];
+    if (swiped && swiped.word.text.toLowerCase() === w) {
+      history.index = historyIndex;
+      setURL(routePath({ mode, deck: activeDeck, word: w }), { cardId: swiped.historyId }, true);
+      showCard(swiped, { fromHistory: true });
+    } else {
+      lookupDictionary(w)
+        .then(dict => dict && setFromDictionary(w, dict, { source: "swipe", replaceUrl: true }))
+        .catch(err => setError(err.message || t("common.wordLoadError")));
+    }
+  }
+
+  function updateDecks(fn) {
+    setDeckState(prev => {
+      const next = fn(prev);
+      saveDecks(next, profileId);
+      return next;
+    });
+  }
+
+  function switchDeck(id, { fromUrl = false } = {}) {
+    updateDecks(state => ({ ...state, activeId: id }));
+    setShowDecks(false);
+    const deck = deckState.decks.find(d => d.id === id);
+    if (!fromUrl && deck) setURL(routePath({ mode, deck, word: word?.text }), window.history.state);
+  }
+
+  function toggleMode() {
+    const next = mode === "review" ? "learn" : "review";
+    setMode(next);
+    setURL(routePath({ mode: next, deck: activeDeck, word: word?.text }), window.history.state, true);
+  }
+
+  async function copyWordLink() {
+    if (!word) return;
+    const url = window.location.origin + wordPath(word.text);
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice(t("card.linkCopied", { url }));
+    } catch (err) {
+      console.error("Không chép được liên kết", err);
+      setNotice(url);
+    }
+  }
+
+  function handleSaveDeck(deck) {
+    updateDecks(state => {
+      const exists = state.decks.some(d => d.id === deck.id);
+      return {
+        activeId: deck.id,
+        decks: exists ? state.decks.map(d => d.id === deck.id ? deck : d) : [...state.decks, deck],
+      };
+    });
+  }
+
+  function handleDeleteDeck(id) {
+    if (id === DEFAULT_DECK_ID) return;
+    updateDecks(state => ({
+      activeId: state.activeId === id ? DEFAULT_DECK_ID : state.activeId,
+      decks: state.decks.filter(d => d.id !== id),
+    }));
+  }
+
+  function exportCollection(format) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "json") {
+      downloadFile(`vocab-swipe-en-${glossLang}-${stamp}.json`, buildBackupJSON(store, glossLang), "application/json");
+    } else {
+      downloadFile(`vocab-swipe-anki-en-${glossLang}-${stamp}.tsv`, buildAnkiTSV(store.words, glossLang), "text/tab-separated-values");
+    }
+  }
+
+  async function handleImportFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // cho phép chọn lại cùng file
+    if (!file) return;
+    try {
+      const incoming = parseImportFile(file.name, await file.text(), { glossLang });
+      const merged = mergeStores(store, incoming);
+      setStore(merged.store);
+      setError("");
+      setNotice(t("import.done", { total: merged.total, added: merged.added }));
+    } catch (err) {
+      setNotice("");
+      setError(t("import.failed", { error: err.message || err }));
+    }
+  }
+
+  function handleSaveCustom({ notes, examples, translations }) {
+    if (!word?.text) return;
+    const lower = word.text.toLowerCase();
+    addToSeen(lower);
+    const edited = { notes: notes.trim(), examples: examples.map(e => e.trim()).filter(Boolean), translations: translations.trim(), updatedAt: Date.now() };
+    setStore(prev => {
+      const { custom: old, ...rec } = prev.words[lower];
+      const custom = old?.preferred ? { ...edited, preferred: old.preferred } : edited;
+      return { ...prev, words: { ...prev.words, [lower]: hasCustom(custom) || custom.preferred ? { ...rec, custom } : rec } };
+    });
+    setEditingNotes(false);
+  }
+
+  // Bình chọn nghĩa ưu tiên: đứng đầu trên thẻ, khi ôn tập, quiz và file xuất; bấm lại để bỏ chọn.
+  // Chỉ cho từ đã có trong bộ sưu tập (bình chọn không tính là đã học). Bỏ chọn vẫn giữ custom với
+  // preferred = "" và updatedAt mới để khi đồng bộ, lần bỏ chọn thắng bản cũ trên máy khác.
+  function handlePreferGloss(meaning) {
+    if (!word?.text) return;
+    const lower = word.text.toLowerCase();
+    setStore(prev => {
+      const rec = prev.words[lower];
+      if (!rec) return prev;
+      const preferred = rec.custom?.preferred?.toLowerCase() === meaning.toLowerCase() ? "" : meaning;
+      return { ...prev, words: { ...prev.words, [lower]: { ...rec, custom: { ...rec.custom, preferred, updatedAt: Date.now() } } } };
+    });
+  }
+
+  // Đổi ngôn ngữ nghĩa: mở bộ sưu tập của cặp ngôn ngữ đó, bỏ các thẻ đang chuẩn bị/lịch sử của cặp cũ
+  function switchGlossLang(lang) {
+    if (lang === glossLang || !GLOSS_LANGUAGES[lang]) return;
+    updateSettings({ glossLang: lang });
+    setStore(loadStore(lang, profileId));
+    prefetchRef.current.queue = [];
+    setReadyCount(0);
+    historyRef.current = { entries: [], index: -1, nextId: historyRef.current.nextId };
+    setHistoryPos({ index: -1, length: 0 });
+    setLastSwipe(null);
+    setDefinitionVI([]);
+    setShowingDefinitionVI(false);
+  }
+
+  function updateSettings(patch) {
+    setSettings(prev => {
+      const next = { ...prev, ...patch };
+      saveSettings(next, profileId);
+      return next;
+    });
+  }
+
+  async function syncNow() {
+    if (!settings.syncKey) return;
+    const lang = glossLang;
+    setSyncStatus(prev => ({ ...prev, state: "syncing" }));
+    try {
+      const remote = await pushSync(settings, lang, latestRef.current.store);
+      // Đổi ngôn ngữ nghĩa trong lúc chờ -> bản trả về thuộc bộ sưu tập khác
+      if (latestRef.current.glossLang !== lang) return;
+      const merged = mergeSync(latestRef.current.store, remote).store;
+      syncedStoreRef.current = merged;
+      setStore(merged);
+      setSyncStatus({ state: "ok", at: Date.now() });
+    } catch (err) {
+      console.error("Đồng bộ lỗi:", err);
+      setSyncStatus({ state: "error", at: Date.now(), error: err.message || String(err) });
+    }
+  }
+
   function handleRemoveSeen(item) {
-    const next = new Set(seen);
-    next.delete(item);
-    setSeen(next);
-    saveSeen(next);
+    setStore(prev => {
+      const { [item]: _removed, ...rest } = prev.words;
+      const events = (prev.events || []).filter(e => e.word !== item);
+      return { ...prev, words: rest, events, deleted: { ...(prev.deleted || {}), [item]: Date.now() } };
+    });
   }
 
   function AudioButton() {
-    const handleAudioClick = async () => {
+    const handleAudioClick = () => {
       console.log("Audio button clicked, audioUrl:", word?.audioUrl); // Debug log
-      
-      if (word?.audioUrl) {
-        try {
-          const audio = new Audio(word.audioUrl);
-          
-          // Handle errors
-          audio.onerror = (e) => {
-            console.error("Audio URL error, falling back to Web Speech:", e);
-            speak(word.text, "en-US");
-          };
-          
-          // Try to play
-          console.log("Attempting to play audio:", word.audioUrl);
-          const playPromise = audio.play();
-          
-          if (playPromise !== undefined) {
-            playPromise
-              .then(() => {
-                console.log("Audio playing successfully");
-              })
-              .catch((error) => {
-                console.error("Play promise rejected:", error);
-                // Fallback to Web Speech
-                speak(word.text, "en-US");
-              });
-          }
-        } catch (err) {
-          console.error("Audio initialization error, using Web Speech:", err);
-          speak(word.text, "en-US");
-        }
-      } else {
-        console.log("No audio URL, using Web Speech");
-        speak(word.text, "en-US");
-      }
+      playWordAudio(word?.text, word?.audioUrl);
     };
 
     return (
       <SmallButton 
-        title="Phát âm" 
+        title={t("card.pronounce")}
         onClick={handleAudioClick}
       >
         {word?.audioUrl ? '🔊' : '🔈'}
@@ -771,24 +2384,41 @@ export default function App() {
     );
   }
 
-  async function loadSpecificWord(term) {
+  async function loadSpecificWord(term, source = "search") {
     if (word?.text) addToSeen(word.text);
     setLoading(true); setError("");
     // Reset definition states
     setDefinitionVI([]);
     setShowingDefinitionVI(false);
-    setVerbForms(null);
+    setWordForms(null);
     try {
-      const dict = await fetchDictionary(term);
-      if (!dict) throw new Error("Không tìm thấy từ: " + term);
-      await setFromDictionary(term, dict);
+      const dict = await lookupDictionary(term);
+      if (!dict) throw new Error(t("load.notFound", { word: term }));
+      await setFromDictionary(term, dict, { source });
     } catch (e) {
-      setError(e.message || "Lỗi tải từ.");
+      setError(e.message || t("common.wordLoadError"));
     } finally {
       setLoading(false);
     }
   }
 
+  async function toggleFullEntry() {
+    if (!word) return;
+    if (fullEntry) {
+      setFullEntry(null);
+      return;
+    }
+    const text = word.text;
+    setFullEntry({ word: text, entries: [], loading: true });
+    try {
+      const entries = await fetchDictionaryEntries(text);
+      setFullEntry(prev => prev?.word === text ? { word: text, entries, loading: false } : prev);
+    } catch (err) {
+      console.error("Không tải được mục từ đầy đủ", err);
+      setFullEntry(prev => prev?.word === text ? { word: text, entries: [], loading: false } : prev);
+    }
+  }
+
   async function toggleDefinition() {
     if (!word?.definitions || word.definitions.length === 0) return;
     
@@ -797,9 +2427,15 @@ export default function App() {
     } else {
       if (definitionVI.length === 0) {
         // Dịch tất cả các định nghĩa
-        const translations = await Promise.all(
-          word.definitions.map(def => translateTextENtoVI(def.text))
-        );
+        let translations;
+        try {
+          translations = await Promise.all(
+            word.definitions.map(def => translateFromEnglish(def.text, glossLang))
+          );
+        } catch (err) {
+          setError(err.message || t("common.loadError"));
+          return;
+        }
         setDefinitionVI(translations);
       }
       setShowingDefinitionVI(true);
@@ -809,7 +2445,7 @@ export default function App() {
   function openChatGPTExamples() {
     if (!word?.text) return;
     
-    const prompt = `cho tôi các dạng động từ nếu có, ví dụ và các đoạn hội thoại phổ biến với từ ${word.text}`;
+    const prompt = t("card.examplesPrompt", { word: word.text });
     const encodedPrompt = encodeURIComponent(prompt);
     const chatGPTUrl = `https://chatgpt.com/?q=${encodedPrompt}`;
     
@@ -825,51 +2461,192 @@ export default function App() {
     window.open(chatGPTUrl, '_blank');
   }
 
-  async function handleSearch(e) {
+  async function handleSearch(e, picked) {
     e?.preventDefault();
-    const term = (searchInput || "").trim().toLowerCase();
+    const term = (picked ?? searchInput ?? "").trim().toLowerCase();
     
     if (!term) {
-      setError("Vui lòng nhập từ cần tìm");
+      setError(t("search.empty"));
+      return;
+    }
+
+    if (searchDir === "reverse" && !picked) {
+      await handleReverseSearch(term);
       return;
     }
     
-    if (!/^[a-zA-Z]+$/.test(term)) {
-      setError("Vui lòng chỉ nhập các ký tự tiếng Anh");
+    if (!/^[a-z]+(?:[ -][a-z]+)*$/.test(term)) {
+      setError(t("search.invalid"));
       return;
     }
     
+    // Từ lạ (không có trong danh sách và từ điển) -> gợi ý sửa chính tả thay vì báo "không tìm thấy"
+    const studied = seenList;
+    if (!isKnownWord(term, { lexicon: lexicon || [], studied })) {
+      const dict = await fetchDictionary(term).catch(() => null);
+      const corrections = lexicon ? didYouMean(term, { lexicon, studied }) : [];
+      if (!dict && corrections.length) {
+        setSearchInput(term);
+        setSearchHint({ term, corrections: corrections.map(c => c.word) });
+        return;
+      }
+    }
+
+    await openSearchResult(term);
+  }
+
+  // Mở thẳng một từ/cụm từ đã chọn (kết quả tra ngược như "make up" không qua bước gợi ý chính tả)
+  async function openSearchResult(term) {
     setShowSearch(false);
     setSearchInput("");
-    setVerbForms(null);
+    setSearchHint(null);
+    setWordForms(null);
     await loadSpecificWord(term);
   }
 
+  async function handleReverseSearch(term) {
+    setReverseResults({ query: term, loading: true, items: [] });
+    const items = await reverseLookup(term, store.words, glossLang);
+    setReverseResults(prev => prev?.query === term ? { query: term, loading: false, items } : prev);
+  }
+
+  function handleSearchKeyDown(e) {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // -1 = đang ở ô nhập; đi vòng qua danh sách gợi ý
+      setActiveSuggestion(i => {
+        const next = i + step;
+        return next < -1 ? suggestions.length - 1 : next >= suggestions.length ? -1 : next;
+      });
+    } else if (e.key === "Enter" && activeSuggestion >= 0 && suggestions[activeSuggestion]) {
+      e.preventDefault();
+      handleSearch(null, suggestions[activeSuggestion].word);
+    }
+  }
+
   return (
     <div className="min-h-screen w-full bg-gradient-to-b from-white to-slate-50 text-slate-800">
       <div className="sticky top-0 z-10 backdrop-blur bg-white/70 border-b border-slate-200">
         <div className="max-w-3xl mx-auto px-4 py-3 flex items-center justify-between gap-3">
-          <div className="font-semibold text-lg">Vocab Swipe</div>
           <div className="flex items-center gap-2">
-            <SmallButton onClick={() => setShowSearch(true)} title="Tìm kiếm từ (Ctrl+K)">🔍 Tìm</SmallButton>
-            <SmallButton onClick={() => setShowSeen(s => !s)} title="Xem danh sách đã xem">📚 Đã xem ({seen.size})</SmallButton>
-            <SmallButton onClick={() => { if (word?.text) addToSeen(word.text); loadWord(); }} title="Lấy từ mới">🔄 Từ mới</SmallButton>
+            <div className="font-semibold text-lg">Vocab Swipe</div>
+            {!online && (
+              <span className="px-2 py-0.5 text-xs rounded-lg bg-slate-800 text-white" title={t("header.offlineTitle")}>{t("header.offline")}</span>
+            )}
+          </div>
+          <div className="flex items-center gap-2 flex-wrap justify-end">
+            <SmallButton onClick={() => setShowProfiles(true)} title={t("profile.open")}>👤 {profileName(profiles.find(p => p.id === profileId) || profiles[0])}</SmallButton>
+            <SmallButton onClick={() => setShowDecks(true)} title={t("deck.open")}>🗂️ {deckName(activeDeck)}</SmallButton>
+            <select
+              value={glossLang}
+              onChange={(e) => switchGlossLang(e.target.value)}
+              title={t("gloss.select")}
+              className="px-2 py-1 rounded-xl text-sm shadow-sm border border-gray-200 bg-white"
+            >
+              {Object.entries(GLOSS_LANGUAGES).map(([code, l]) => (
+                <option key={code} value={code}>EN → {l.name}</option>
+              ))}
+            </select>
+            <select
+              value={uiLang}
+              onChange={(e) => updateSettings({ uiLang: e.target.value })}
+              title={t("common.uiLanguage")}
+              className="px-2 py-1 rounded-xl text-sm shadow-sm border border-gray-200 bg-white"
+            >
+              {Object.entries(UI_LANGUAGES).map(([code, name]) => (
+                <option key={code} value={code}>🌐 {name}</option>
+              ))}
+            </select>
+            <SmallButton onClick={() => setShowSearch(true)} title={t("header.searchTitle")}>{t("header.search")}</SmallButton>
+            <SmallButton
+              onClick={toggleMode}
+              title={t("header.reviewTitle")}
+              className={mode === "review" ? "bg-amber-50 border-amber-300" : ""}
+            >{t("header.review", { count: dueWords.length })}</SmallButton>
+            <SmallButton onClick={() => setShowStats(true)} title={t("header.statsTitle")}>{t("header.stats")}</SmallButton>
+            <SmallButton onClick={() => setShowQuiz(true)} title={t("header.quizTitle")}>{t("header.quiz")}</SmallButton>
+            <SmallButton onClick={() => setShowDictation(true)} title={t("header.dictationTitle")}>{t("header.dictation")}</SmallButton>
+            <SmallButton onClick={() => setShowSeen(s => !s)} title={t("header.seenTitle")}>{t("header.seen", { count: seen.size })}</SmallButton>
+            <SmallButton onClick={() => { if (word?.text) addToSeen(word.text); loadWord(); }} title={t("header.nextTitle", { count: readyCount })}>{t("header.next")}{readyCount > 0 && <span className="ml-1 text-xs text-emerald-600">⚡{readyCount}</span>}</SmallButton>
+            <SmallButton
+              onClick={downloadOfflinePack}
+              title={online ? t("header.packTitle", { count: OFFLINE_PACK_SIZE }) : t("header.packNeedsNetwork")}
+              className={!online || packProgress ? "opacity-60" : ""}
+            >
+              {packProgress ? `📥 ${packProgress.done}/${packProgress.total}` : t("header.pack", { count: packSize })}
+            </SmallButton>
           </div>
         </div>
       </div>
 
       <div className="max-w-3xl mx-auto px-4 py-6">
         {error && (<div className="mb-4 p-3 rounded-xl border border-rose-200 bg-rose-50 text-rose-700">{error}</div>)}
+        {Object.keys(providerIssues).length > 0 && (
+          <div className="mb-4 p-3 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 text-sm flex items-start justify-between gap-3">
+            <div>
+              <div>{t("network.banner")}</div>
+              <ul className="mt-1 list-disc pl-5">
+                {Object.entries(providerIssues).map(([name, issue]) => (
+                  <li key={name}>
+                    <b>{name}</b>: {t(`network.${issue.kind}`, { status: issue.status })}
+                    {issue.until > 0 && ` ${t("network.retryAt", { time: new Date(issue.until).toLocaleTimeString() })}`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <button type="button" className="text-amber-500 hover:text-amber-700" title={t("common.close")} onClick={() => setProviderIssues({})}>✕</button>
+          </div>
+        )}
+        {notice && (
+          <div className="mb-4 p-3 rounded-xl border border-green-200 bg-green-50 text-green-700 flex items-center justify-between gap-3">
+            <span>{notice}</span>
+            <button type="button" className="text-green-500 hover:text-green-700" onClick={() => setNotice("")}>✕</button>
+          </div>
+        )}
+
+        <div className="mb-3 flex items-center gap-2 flex-wrap">
+          <SmallButton onClick={() => goHistory(-1)} title={t("history.backTitle")} className={historyPos.index <= 0 ? "opacity-50" : ""}>{t("history.back")}</SmallButton>
+          <SmallButton onClick={() => goHistory(1)} title={t("history.forwardTitle")} className={historyPos.index >= historyPos.length - 1 ? "opacity-50" : ""}>{t("history.forward")}</SmallButton>
+          {lastSwipe && (
+            <SmallButton onClick={undoSwipe} title={t("history.undoTitle")}>{t("history.undo", { word: lastSwipe.word })}</SmallButton>
+          )}
+        </div>
 
-        <div ref={cardRef} className="select-none">
+        <div ref={cardRef} className="select-none touch-pan-y relative">
+          {swipePreview && (
+            <div className={classNames("absolute top-3 left-1/2 -translate-x-1/2 z-10 px-3 py-1 rounded-xl border text-sm font-medium shadow-sm", SWIPE_RATINGS[swipePreview].className)}>
+              {t(SWIPE_RATINGS[swipePreview].labelKey)}
+            </div>
+          )}
           <div className={classNames("rounded-2xl shadow-sm border border-slate-200 bg-white p-6 transition will-change-transform", loading && "opacity-70")}>
-            {!word && (<div className="text-center py-16"><div className="animate-pulse text-sm text-slate-500">Đang tải từ mới…</div></div>)}
+            {!word && (<div className="text-center py-16"><div className="animate-pulse text-sm text-slate-500">{t("load.loading")}</div></div>)}
 
             {word && (
               <div className="flex flex-col gap-4">
+                <div data-swipe-handle="true" className="touch-none cursor-grab -mt-3 mx-auto px-4 py-1 text-xs text-slate-400" title={t("swipe.handleTitle")}>
+                  ⇅
+                </div>
                 <div className="flex items-start justify-between gap-3">
                   <div>
-                    <div className="text-3xl font-bold tracking-tight">{word.text}</div>
+                    <div className="flex items-center gap-2">
+                      <div className="text-3xl font-bold tracking-tight">{word.text}</div>
+                      {word.isReview && (
+                        <span className="px-2 py-0.5 text-xs rounded-lg bg-amber-50 border border-amber-200 text-amber-700">{t("card.review")}</span>
+                      )}
+                    </div>
+                    {word.baseForm && (
+                      <div className="text-sm text-slate-600 mt-1">
+                        {t("card.baseForm", { form: t(`forms.${word.baseForm.form}`) })}{" "}
+                        <button
+                          type="button"
+                          onClick={() => loadSpecificWord(word.baseForm.lemma, "chip")}
+                          className="font-semibold underline hover:no-underline"
+                          title={t("card.openBaseForm")}
+                        >{word.baseForm.lemma}</button>
+                      </div>
+                    )}
                     <div className="text-slate-500 mt-1">
                       {word.allPOS && word.allPOS.length > 1 ? (
                         <div className="flex flex-wrap gap-1 items-center">
@@ -889,10 +2666,24 @@ export default function App() {
                   </div>
                   <div className="flex gap-2 items-center">
                     <AudioButton />
-                    <SmallButton onClick={() => { addToSeen(word.text); }} title="Lưu vào Đã xem">⭐ Lưu</SmallButton>
+                    <SmallButton onClick={() => setEditingNotes(v => !v)} title={t("card.notesTitle", { gloss: glossLabel })}>{t("card.notes")}</SmallButton>
+                    <SmallButton onClick={copyWordLink} title={t("card.linkTitle")}>{t("card.link")}</SmallButton>
+                    <SmallButton onClick={() => { addToSeen(word.text); }} title={t("card.saveTitle")}>{t("card.save")}</SmallButton>
                   </div>
                 </div>
 
+                {editingNotes ? (
+                  <PersonalNotesEditor
+                    custom={currentRecord?.custom}
+                    fetchedTranslations={word.wordTranslations}
+                    glossLabel={glossLabel}
+                    onSave={handleSaveCustom}
+                    onCancel={() => setEditingNotes(false)}
+                  />
+                ) : hasCustom(currentRecord?.custom) && (
+                  <PersonalNotes custom={currentRecord.custom} onEdit={() => setEditingNotes(true)} />
+                )}
+
                 <div className="grid md:grid-cols-2 gap-3">
                   <div 
                     onClick={toggleDefinition}
@@ -900,7 +2691,7 @@ export default function App() {
                     className="p-3 rounded-xl bg-slate-50 border border-slate-200 hover:bg-slate-100 transition cursor-pointer"
                   >
                     <div className="text-xs uppercase tracking-wide text-slate-500 mb-2">
-                      Định nghĩa {showingDefinitionVI ? "(VI)" : "(EN)"} - Tap để {showingDefinitionVI ? "xem tiếng Anh" : "dịch"}
+                      {t("card.definitions", { lang: showingDefinitionVI ? glossCode : "EN", action: t(showingDefinitionVI ? "card.showEnglish" : "card.translate") })}
                     </div>
                     <div className="space-y-2 max-h-48 overflow-y-auto">
                       {showingDefinitionVI ? (
@@ -911,7 +2702,7 @@ export default function App() {
                             </div>
                           ))
                         ) : (
-                          <div className="text-sm text-slate-500">Đang dịch...</div>
+                          <div className="text-sm text-slate-500">{t("card.translating")}</div>
                         )
                       ) : (
                         word?.definitions && word.definitions.length > 0 ? (
@@ -930,53 +2721,88 @@ export default function App() {
                             </div>
                           ))
                         ) : (
-                          <div className="text-sm text-slate-500">(không có định nghĩa)</div>
+                          <div className="text-sm text-slate-500">{t("card.noDefinitions")}</div>
                         )
                       )}
                     </div>
                   </div>
                   <div className="p-3 rounded-xl bg-green-50 border border-green-200">
-                    <div className="text-xs uppercase tracking-wide text-green-700 mb-2">Nghĩa tiếng Việt</div>
+                    <div className="text-xs uppercase tracking-wide text-green-700 mb-2">{t("card.meanings", { gloss: glossLabel })}</div>
                     <div className="space-y-1">
                       {word?.wordTranslations ? (
-                        word.wordTranslations.split(/[;]/).map((meaning, idx) => {
-                          const trimmedMeaning = meaning.trim();
-                          if (!trimmedMeaning) return null;
-                          return (
-                            <div key={idx} className="flex items-start gap-2">
-                              <span className="text-green-600 font-medium text-sm">•</span>
-                              <span className="text-sm font-medium">{trimmedMeaning}</span>
+                        glossMeaningsOf(word, currentRecord?.custom?.preferred).map((meaning) => (
+                          <div key={meaning.text} className="flex items-start gap-2">
+                            <span className="text-green-600 font-medium text-sm">{meaning.preferred ? "★" : "•"}</span>
+                            <div className="flex-1">
+                              <div className="text-sm font-medium">{meaning.text}</div>
+                              {meaning.origin && <div className="text-xs text-slate-500">{glossSourceLabel(meaning)}</div>}
                             </div>
-                          );
-                        }).filter(Boolean)
+                            <button
+                              type="button"
+                              onClick={() => handlePreferGloss(meaning.text)}
+                              disabled={!currentRecord}
+                              title={t(!currentRecord ? "card.preferNeedsSave" : meaning.preferred ? "card.unpreferGloss" : "card.preferGloss")}
+                              className={classNames("text-sm px-1 rounded", meaning.preferred ? "opacity-100" : "opacity-40 hover:opacity-100", !currentRecord && "cursor-not-allowed hover:opacity-40")}
+                            >👍</button>
+                          </div>
+                        ))
                       ) : (
-                        <div className="text-sm text-slate-500">(đang dịch...)</div>
+                        <div className="text-sm text-slate-500">{t("card.translatingParen")}</div>
                       )}
                     </div>
                   </div>
                 </div>
 
+                <WordForms forms={wordForms} />
+
+                <div>
+                  <SmallButton onClick={toggleFullEntry} title={t("card.fullEntryTitle")}>
+                    {fullEntry ? t("card.collapseEntry") : t("card.fullEntry")}
+                  </SmallButton>
+                  {fullEntry && (
+                    <FullEntry entry={fullEntry} onPick={(w) => loadSpecificWord(w, "chip")} />
+                  )}
+                </div>
+
                 <div className="mt-2">
                   <button 
                     onClick={openChatGPTExamples}
                     className="px-4 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition text-sm font-medium"
                   >
-                    💬 Ví dụ và hội thoại
+                    {t("card.examples")}
                   </button>
                 </div>
 
                 <div className="mt-2">
-                  <div className="text-sm font-medium text-slate-600 mb-2">Từ đồng nghĩa</div>
-                  <SynChips syns={syns} onPick={(t) => loadSpecificWord(t)} />
+                  <div className="text-sm font-medium text-slate-600 mb-2">{t("card.synonyms")}</div>
+                  <SynChips syns={syns} onPick={(w) => loadSpecificWord(w, "chip")} />
                 </div>
 
                 <div className="mt-2">
-                  <div className="text-sm font-medium text-slate-600 mb-2">Dạng từ loại khác</div>
-                  <POSChips related={related} word={word} onPick={(t) => loadSpecificWord(t)} />
+                  <div className="text-sm font-medium text-slate-600 mb-2">{t("card.otherPOS")}</div>
+                  <POSChips related={related} word={word} onPick={(w) => loadSpecificWord(w, "chip")} />
+                </div>
+
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {["right", "down", "left", "up"].map(dir => (
+                    <SmallButton
+                      key={dir}
+                      onClick={() => handleRate(SWIPE_RATINGS[dir].rating)}
+                      className={SWIPE_RATINGS[dir].className}
+                      title={t("swipe.title", { dir: t(`swipe.${dir}`) })}
+                    >{t(SWIPE_RATINGS[dir].labelKey)}</SmallButton>
+                  ))}
                 </div>
 
                 <div className="text-xs text-slate-500 mt-2">
-                  Gợi ý: quẹt <span className="font-semibold">trái</span> để lưu từ này vào danh sách đã xem và hiện từ mới.
+                  {t("swipe.hint")}{" "}
+                  {["left", "right", "down", "up"].map((dir, i) => (
+                    <React.Fragment key={dir}>
+                      {i > 0 && ", "}<span className="font-semibold">{t(`swipe.${dir}`)}</span> = {t(`swipe.meaning.${dir}`)}
+                    </React.Fragment>
+                  ))}
+                  {" "}{t("swipe.hintKeys")}
+                  {mode === "review" && ` ${t("swipe.reviewHint")}`}
                 </div>
               </div>
             )}
@@ -988,17 +2814,44 @@ export default function App() {
             <div className="absolute inset-0 bg-black/30" onClick={() => setShowSeen(false)} />
             <div className="absolute right-0 top-0 h-full w-full max-w-md bg-white shadow-xl border-l border-slate-200 flex flex-col">
               <div className="p-4 border-b border-slate-200 flex items-center justify-between">
-                <div className="font-semibold">Danh sách đã xem ({seenList.length})</div>
-                <SmallButton onClick={() => setShowSeen(false)}>Đóng</SmallButton>
+                <div className="font-semibold">{t("seen.title", { count: seenList.length })}</div>
+                <SmallButton onClick={() => setShowSeen(false)}>{t("common.close")}</SmallButton>
+              </div>
+              <div className="px-4 py-2 border-b border-slate-200 flex flex-wrap items-center gap-2">
+                <SmallButton onClick={() => exportCollection("tsv")} title={t("seen.exportAnkiTitle")}>{t("seen.exportAnki")}</SmallButton>
+                <SmallButton onClick={() => exportCollection("json")} title={t("seen.exportJSONTitle")}>{t("seen.exportJSON")}</SmallButton>
+                <SmallButton onClick={() => importInputRef.current?.click()} title={t("seen.importTitle")}>{t("seen.import")}</SmallButton>
+                <SmallButton onClick={() => setShowSync(true)} title={t("sync.open")}>
+                  {t("sync.button")}{syncStatus.state === "error" && <span className="ml-1 text-rose-600">!</span>}
+                </SmallButton>
+                <input ref={importInputRef} type="file" accept=".json,.tsv,.txt,.csv" className="hidden" onChange={handleImportFile} />
+              </div>
+              <div className="px-4 py-2 border-b border-slate-200">
+                <input
+                  type="text"
+                  value={seenFilter}
+                  onChange={(e) => setSeenFilter(e.target.value)}
+                  placeholder={t("seen.filter")}
+                  className="w-full px-3 py-1.5 text-sm border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
               </div>
               <div className="p-3 overflow-y-auto flex-1">
-                {seenList.length === 0 && (<div className="text-sm text-slate-500 p-3">Chưa có từ nào.</div>)}
+                {seenList.length === 0 && (<div className="text-sm text-slate-500 p-3">{t("seen.empty")}</div>)}
+                {seenList.length > 0 && filteredSeenList.length === 0 && (<div className="text-sm text-slate-500 p-3">{t("seen.noMatch")}</div>)}
                 <ul className="space-y-2">
-                  {seenList.map(it => (
+                  {filteredSeenList.map(it => (
                     <li key={it} className="flex items-center justify-between gap-3 border border-slate-200 rounded-xl px-3 py-2">
-                      <button className="font-medium underline hover:no-underline" onClick={() => { loadSpecificWord(it); setShowSeen(false); }} title="Mở từ này">{it}</button>
+                      <button className="font-medium underline hover:no-underline" onClick={() => { loadSpecificWord(it, "list"); setShowSeen(false); }} title={t("seen.open", { count: store.words[it]?.lookups || 0 })}>{it}</button>
                       <div className="flex items-center gap-2">
-                        <SmallButton title="Xoá khỏi Đã xem" onClick={() => handleRemoveSeen(it)}>🗑️ Xoá</SmallButton>
+                        {schedule[it]?.history?.length > 0 && (
+                          <span className="text-xs" title={t("seen.lastRating")}>
+                            {RATING_ICONS[schedule[it].history[schedule[it].history.length - 1].rating]}
+                          </span>
+                        )}
+                        {schedule[it] && (
+                          <span className="text-xs text-slate-500" title={t("seen.nextReview")}>⏰ {formatDue(schedule[it].due)}</span>
+                        )}
+                        <SmallButton title={t("seen.remove")} onClick={() => handleRemoveSeen(it)}>{t("common.delete")}</SmallButton>
                       </div>
                     </li>
                   ))}
@@ -1008,13 +2861,77 @@ export default function App() {
           </div>
         )}
 
+        {showQuiz && (
+          <QuizModal
+            pool={quizPool(store.words)}
+            dueWords={dueWords}
+            glossCode={glossCode}
+            glossLabel={glossLabel}
+            onAnswer={(w, correct) => rateWord(w, correct ? RATINGS.GOOD : RATINGS.AGAIN)}
+            onClose={() => setShowQuiz(false)}
+          />
+        )}
+
+        {showDictation && (
+          <DictationModal
+            words={Array.from(seen)}
+            cards={cards}
+            dueWords={dueWords}
+            onResult={(w, { correct, hinted }) => rateWord(w, !correct ? RATINGS.AGAIN : hinted ? RATINGS.HARD : RATINGS.GOOD)}
+            onClose={() => setShowDictation(false)}
+          />
+        )}
+
+        {showStats && (
+          <StatsModal
+            stats={computeStats(store)}
+            dailyGoal={settings.dailyGoal}
+            onGoalChange={(dailyGoal) => updateSettings({ dailyGoal })}
+            onClose={() => setShowStats(false)}
+          />
+        )}
+
+        {showProfiles && (
+          <ProfileModal
+            profiles={profiles}
+            activeId={profileId}
+            onSwitch={onSwitchProfile}
+            onSave={onSaveProfile}
+            onDelete={onDeleteProfile}
+            onImport={onImportProfile}
+            onClose={() => setShowProfiles(false)}
+          />
+        )}
+
+        {showSync && (
+          <SyncModal
+            settings={settings}
+            status={syncStatus}
+            online={online}
+            onSave={(patch) => { syncedStoreRef.current = null; setSyncStatus({ state: "idle" }); updateSettings(patch); }}
+            onSyncNow={syncNow}
+            onClose={() => setShowSync(false)}
+          />
+        )}
+
+        {showDecks && (
+          <DeckModal
+            deckState={deckState}
+            seen={seen}
+            onSwitch={switchDeck}
+            onSave={handleSaveDeck}
+            onDelete={handleDeleteDeck}
+            onClose={() => setShowDecks(false)}
+          />
+        )}
+
         {showSearch && (
           <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
             <div className="absolute inset-0 bg-black/30" onClick={() => setShowSearch(false)} />
             <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md">
               <form onSubmit={handleSearch} className="p-6">
                 <div className="flex items-center justify-between mb-4">
-                  <h2 className="text-xl font-semibold">Tìm kiếm từ vựng</h2>
+                  <h2 className="text-xl font-semibold">{t("search.title")}</h2>
                   <button
                     type="button"
                     onClick={() => setShowSearch(false)}
@@ -1025,20 +2942,101 @@ export default function App() {
                 </div>
                 
                 <div className="space-y-4">
+                  <div className="flex gap-2">
+                    {[["en", `EN → ${glossCode}`], ["reverse", `${glossCode} → EN`]].map(([dir, label]) => (
+                      <button
+                        key={dir}
+                        type="button"
+                        onClick={() => { setSearchDir(dir); setSearchHint(null); setReverseResults(null); searchInputRef.current?.focus(); }}
+                        className={classNames(
+                          "flex-1 py-1.5 text-sm rounded-xl border transition",
+                          searchDir === dir ? "bg-blue-50 border-blue-300 text-blue-700 font-medium" : "border-slate-200 hover:bg-slate-50"
+                        )}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
                   <div>
                     <label htmlFor="search-input" className="block text-sm font-medium text-slate-700 mb-2">
-                      Nhập từ tiếng Anh
+                      {searchDir === "reverse" ? t("search.labelReverse", { gloss: glossLabel }) : t("search.labelEnglish")}
                     </label>
                     <input
                       ref={searchInputRef}
                       id="search-input"
                       type="text"
                       value={searchInput}
-                      onChange={(e) => setSearchInput(e.target.value)}
-                      placeholder="Ví dụ: happy, work, computer..."
+                      onChange={(e) => { setSearchInput(e.target.value); setActiveSuggestion(-1); setSearchHint(null); }}
+                      onKeyDown={handleSearchKeyDown}
+                      placeholder={searchDir === "en" ? t("search.placeholderEnglish") : glossLang === DEFAULT_GLOSS_LANG ? t("search.placeholderReverse") : ""}
                       className="w-full px-4 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                       autoComplete="off"
+                      role="combobox"
+                      aria-expanded={suggestions.length > 0}
+                      aria-controls="search-suggestions"
                     />
+                    {suggestions.length > 0 && !searchHint && (
+                      <ul id="search-suggestions" role="listbox" className="mt-1 border border-slate-200 rounded-xl overflow-hidden">
+                        {suggestions.map((s, i) => (
+                          <li key={s.word} role="option" aria-selected={i === activeSuggestion}>
+                            <button
+                              type="button"
+                              onMouseEnter={() => setActiveSuggestion(i)}
+                              onClick={() => handleSearch(null, s.word)}
+                              className={classNames(
+                                "w-full px-4 py-1.5 text-left text-sm flex items-center justify-between",
+                                i === activeSuggestion ? "bg-blue-50" : "hover:bg-slate-50"
+                              )}
+                            >
+                              <span>{s.word}</span>
+                              {s.studied && <span className="text-xs text-emerald-600">{t("search.studied")}</span>}
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {searchHint && (
+                      <div className="mt-2 p-3 rounded-xl bg-amber-50 border border-amber-200 text-sm">
+                        <div className="text-amber-800 mb-2">
+                          {t("search.didYouMean", { term: searchHint.term })}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          {searchHint.corrections.map(c => (
+                            <button
+                              key={c}
+                              type="button"
+                              onClick={() => handleSearch(null, c)}
+                              className="px-3 py-1 border border-amber-300 bg-white rounded-lg hover:bg-amber-100 active:scale-[0.98]"
+                            >
+                              {c}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                    {reverseResults && (
+                      <div className="mt-2 border border-slate-200 rounded-xl overflow-hidden">
+                        {reverseResults.loading ? (
+                          <div className="px-4 py-2 text-sm text-slate-500">{t("search.reverseLoading", { query: reverseResults.query })}</div>
+                        ) : reverseResults.items.length === 0 ? (
+                          <div className="px-4 py-2 text-sm text-slate-500">{t("search.reverseEmpty", { query: reverseResults.query })}</div>
+                        ) : (
+                          reverseResults.items.map(item => (
+                            <button
+                              key={item.word}
+                              type="button"
+                              onClick={() => openSearchResult(item.word)}
+                              className="w-full px-4 py-1.5 text-left text-sm flex items-center justify-between gap-2 hover:bg-slate-50"
+                            >
+                              <span className="font-medium">{item.word}</span>
+                              <span className="text-xs text-slate-500 truncate">
+                                {t(item.source === "studied" ? "search.fromStudied" : "search.fromTranslation", { gloss: item.gloss })}
+                              </span>
+                            </button>
+                          ))
+                        )}
+                      </div>
+                    )}
                   </div>
                   
                   <div className="flex gap-3">
@@ -1046,7 +3044,7 @@ export default function App() {
                       type="submit"
                       className="flex-1 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition font-medium"
                     >
-                      🔍 Tìm kiếm
+                      {t("search.submit")}
                     </button>
                     <button
                       type="button"
@@ -1056,25 +3054,22 @@ export default function App() {
                       }}
                       className="px-4 py-2 border border-slate-300 rounded-xl hover:bg-slate-50 active:scale-[0.98] transition"
                     >
-                      Hủy
+                      {t("common.cancel")}
                     </button>
                   </div>
                   
                   <div className="text-xs text-slate-500 text-center">
-                    Nhập từ vựng tiếng Anh để xem định nghĩa và nghĩa tiếng Việt
+                    {t("search.tip", { gloss: glossLabel })}
                   </div>
                   
                   <div className="border-t border-slate-200 pt-3">
-                    <div className="text-xs text-slate-500 mb-2">Gợi ý từ phổ biến:</div>
+                    <div className="text-xs text-slate-500 mb-2">{t("search.popular")}</div>
                     <div className="flex flex-wrap gap-2">
-                      {['happy', 'work', 'family', 'success', 'challenge', 'improve', 'understand', 'achieve'].map(suggestedWord => (
+                      {(activeDeck.words.length ? activeDeck.words.slice(0, 8) : DEFAULT_SUGGESTIONS).map(suggestedWord => (
                         <button
                           key={suggestedWord}
                           type="button"
-                          onClick={() => {
-                            setSearchInput(suggestedWord);
-                            handleSearch();
-                          }}
+                          onClick={() => handleSearch(null, suggestedWord)}
                           className="px-3 py-1 text-xs border border-slate-200 rounded-lg hover:bg-slate-50 active:scale-[0.98] transition"
                         >
                           {suggestedWord}
@@ -1089,7 +3084,775 @@ export default function App() {
         )}
       </div>
 
-      <footer className="py-6 text-center text-xs text-slate-500">Nguồn dữ liệu: Datamuse, Free Dictionary API, MyMemory Translate.</footer>
+      <footer className="py-6 text-center text-xs text-slate-500">
+        {t("footer.sources", { sources: [providers.wordSource.name, providers.dictionary.name, providers.translator.name].join(", ") })}
+      </footer>
+    </div>
+  );
+}
+
+function StatsModal({ stats, dailyGoal, onGoalChange, onClose }) {
+  const goalPct = Math.min(100, Math.round((stats.today.learned / Math.max(1, dailyGoal)) * 100));
+  const maxPerDay = Math.max(1, ...stats.history.map(d => d.learned + d.reviewed));
+  const maxPOS = Math.max(1, ...stats.byPOS.map(p => p.count));
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-lg p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("stats.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 text-center">
+            <div className="text-2xl font-bold">{stats.total}</div>
+            <div className="text-xs text-slate-500">{t("stats.total")}</div>
+          </div>
+          <div className="p-3 rounded-xl bg-orange-50 border border-orange-200 text-center">
+            <div className="text-2xl font-bold">🔥 {stats.streak}</div>
+            <div className="text-xs text-slate-500">{t("stats.streak")}</div>
+          </div>
+          <div className="p-3 rounded-xl bg-slate-50 border border-slate-200 text-center">
+            <div className="text-2xl font-bold">{stats.bestStreak}</div>
+            <div className="text-xs text-slate-500">{t("stats.bestStreak")}</div>
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span>{t("stats.today")} <span className="font-medium">{stats.today.learned}/{dailyGoal}</span> {t("stats.todayRest", { reviewed: stats.today.reviewed })}</span>
+            <label className="flex items-center gap-1 text-xs text-slate-500">
+              {t("stats.goal")}
+              <input
+                type="number"
+                min={1}
+                max={200}
+                value={dailyGoal}
+                onChange={(e) => onGoalChange(Math.max(1, Math.min(200, Number(e.target.value) || 1)))}
+                className="w-16 px-2 py-0.5 border border-slate-300 rounded-lg"
+              />
+            </label>
+          </div>
+          <div className="h-3 rounded-full bg-slate-100 overflow-hidden">
+            <div className={classNames("h-full transition-all", goalPct >= 100 ? "bg-green-500" : "bg-blue-500")} style={{ width: `${goalPct}%` }} />
+          </div>
+        </div>
+
+        <div className="mb-4">
+          <div className="text-sm font-medium text-slate-600 mb-2">{t("stats.recentDays", { count: stats.history.length })}</div>
+          <div className="flex items-end gap-1 h-28">
+            {stats.history.map(d => (
+              <div key={d.day} className="flex-1 flex flex-col justify-end h-full" title={t("stats.dayTitle", { day: d.day, learned: d.learned, reviewed: d.reviewed })}>
+                <div className="bg-sky-300 rounded-t" style={{ height: `${(d.reviewed / maxPerDay) * 100}%` }} />
+                <div className="bg-blue-500" style={{ height: `${(d.learned / maxPerDay) * 100}%` }} />
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-slate-400 mt-1">
+            <span>{stats.history[0]?.day.slice(5)}</span>
+            <span><span className="inline-block w-2 h-2 bg-blue-500 mr-1" />{t("stats.newWords")} <span className="inline-block w-2 h-2 bg-sky-300 ml-2 mr-1" />{t("stats.reviews")}</span>
+            <span>{stats.history[stats.history.length - 1]?.day.slice(5)}</span>
+          </div>
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-slate-600 mb-2">{t("stats.byPOS")}</div>
+          {stats.byPOS.length === 0 ? (
+            <div className="text-xs text-slate-400">{t("common.noData")}</div>
+          ) : (
+            <div className="space-y-1">
+              {stats.byPOS.map(({ pos, count }) => (
+                <div key={pos} className="flex items-center gap-2 text-sm">
+                  <span className="w-28 truncate">{posLabel(pos)}</span>
+                  <div className="flex-1 h-2 rounded-full bg-slate-100 overflow-hidden">
+                    <div className="h-full bg-emerald-400" style={{ width: `${(count / maxPOS) * 100}%` }} />
+                  </div>
+                  <span className="w-8 text-right text-slate-500">{count}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PersonalNotes({ custom, onEdit }) {
+  return (
+    <div className="p-3 rounded-xl bg-amber-50 border border-amber-200 space-y-2" data-noswipe="true">
+      <div className="flex items-center justify-between">
+        <div className="text-xs uppercase tracking-wide text-amber-700">{t("notes.title")}</div>
+        <button type="button" onClick={onEdit} className="text-xs text-amber-700 underline hover:no-underline">{t("common.edit")}</button>
+      </div>
+      {custom.translations && (
+        <div className="text-sm"><span className="font-medium">{t("notes.meaning")}</span> {custom.translations}</div>
+      )}
+      {custom.notes && <div className="text-sm whitespace-pre-line">{custom.notes}</div>}
+      {custom.examples?.length > 0 && (
+        <ul className="space-y-1">
+          {custom.examples.map((ex, idx) => (
+            <li key={idx} className="text-xs text-slate-600 italic">Ex: {ex}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function PersonalNotesEditor({ custom, fetchedTranslations, glossLabel, onSave, onCancel }) {
+  const [translations, setTranslations] = useState(custom?.translations || "");
+  const [notes, setNotes] = useState(custom?.notes || "");
+  const [examples, setExamples] = useState((custom?.examples || []).join("\n"));
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    onSave({ translations, notes, examples: examples.split("\n") });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-xl bg-amber-50 border border-amber-200 space-y-2" data-noswipe="true">
+      <div className="text-xs uppercase tracking-wide text-amber-700">{t("notes.title")}</div>
+      <div>
+        <label className="block text-xs text-slate-600 mb-1">{t("notes.meaningLabel", { gloss: glossLabel })}</label>
+        <input
+          value={translations}
+          onChange={(e) => setTranslations(e.target.value)}
+          placeholder={fetchedTranslations || t("notes.meaningPlaceholder")}
+          className="w-full px-3 py-1.5 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400"
+        />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-600 mb-1">{t("notes.notes")}</label>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          className="w-full px-3 py-1.5 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400"
+        />
+      </div>
+      <div>
+        <label className="block text-xs text-slate-600 mb-1">{t("notes.examples")}</label>
+        <textarea
+          value={examples}
+          onChange={(e) => setExamples(e.target.value)}
+          rows={2}
+          className="w-full px-3 py-1.5 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-amber-400"
+        />
+      </div>
+      <div className="flex gap-2">
+        <SmallButton onClick={handleSubmit} className="bg-white">{t("common.saveIcon")}</SmallButton>
+        <SmallButton onClick={onCancel} className="bg-white">{t("common.cancel")}</SmallButton>
+      </div>
+    </form>
+  );
+}
+
+function ProfileModal({ profiles, activeId, onSwitch, onSave, onDelete, onImport, onClose }) {
+  const [editing, setEditing] = useState(null); // { id, name } khi đang tạo/đổi tên
+  const [formError, setFormError] = useState("");
+  const importRef = useRef(null);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const name = editing.name.trim();
+    if (!name) { setFormError(t("profile.errorName")); return; }
+    onSave({ id: editing.id, name });
+    setEditing(null);
+  }
+
+  function exportProfile(profile) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = profileName(profile).toLowerCase().normalize("NFD").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || profile.id;
+    downloadFile(`vocab-swipe-profile-${slug}-${stamp}.json`, buildProfileJSON(profile), "application/json");
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      await onImport(file);
+    } catch (err) {
+      setFormError(t("import.failed", { error: err.message || err }));
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("profile.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t("profile.name")}</label>
+              <input
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                placeholder={t("profile.namePlaceholder")}
+                autoFocus
+                className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            {formError && <div className="text-sm text-rose-600">{formError}</div>}
+            <div className="flex gap-3">
+              <button type="submit" className="flex-1 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition font-medium">{t("common.save")}</button>
+              <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 border border-slate-300 rounded-xl hover:bg-slate-50 active:scale-[0.98] transition">{t("common.cancel")}</button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-2">
+            <div className="text-sm text-slate-600 mb-2">{t("profile.intro")}</div>
+            {profiles.map(profile => (
+              <div key={profile.id} className={classNames("p-3 rounded-xl border flex items-center gap-2", profile.id === activeId ? "border-blue-300 bg-blue-50" : "border-slate-200")}>
+                <button type="button" className="text-left flex-1" onClick={() => onSwitch(profile.id)} title={t("profile.choose")}>
+                  <div className="font-medium">{profileName(profile)}</div>
+                  {profile.id === activeId && <div className="text-xs text-blue-700">{t("profile.active")}</div>}
+                </button>
+                <SmallButton onClick={() => { setFormError(""); setEditing({ id: profile.id, name: profileName(profile) }); }} title={t("profile.rename")}>✏️</SmallButton>
+                <SmallButton onClick={() => exportProfile(profile)} title={t("profile.export")}>⬇️</SmallButton>
+                {profiles.length > 1 && (
+                  <SmallButton onClick={() => { if (window.confirm(t("profile.confirmDelete", { name: profileName(profile) }))) onDelete(profile.id); }} title={t("profile.delete")}>🗑️</SmallButton>
+                )}
+              </div>
+            ))}
+            {formError && <div className="text-sm text-rose-600">{formError}</div>}
+            <div className="flex gap-2">
+              <SmallButton onClick={() => { setFormError(""); setEditing({ id: null, name: "" }); }} className="flex-1">{t("profile.create")}</SmallButton>
+              <SmallButton onClick={() => importRef.current?.click()} title={t("profile.importTitle")}>{t("profile.import")}</SmallButton>
+              <input ref={importRef} type="file" accept=".json" className="hidden" onChange={handleImport} />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SyncModal({ settings, status, online, onSave, onSyncNow, onClose }) {
+  const [form, setForm] = useState({ syncServer: settings.syncServer, syncKey: settings.syncKey, syncToken: settings.syncToken });
+  const [formError, setFormError] = useState("");
+  const enabled = !!settings.syncKey;
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const syncKey = form.syncKey.trim();
+    if (!/^[A-Za-z0-9_-]{16,64}$/.test(syncKey)) { setFormError(t("sync.errorKey")); return; }
+    setFormError("");
+    onSave({ syncServer: form.syncServer.trim(), syncKey, syncToken: form.syncToken.trim() });
+  }
+
+  function disable() {
+    setForm({ ...form, syncKey: "" });
+    onSave({ syncKey: "" });
+  }
+
+  const statusText = !enabled ? t("sync.disabled")
+    : !online ? t("sync.offline")
+    : status.state === "syncing" ? t("sync.syncing")
+    : status.state === "ok" ? t("sync.ok", { time: new Date(status.at).toLocaleTimeString() })
+    : status.state === "error" ? t("sync.error", { error: status.error })
+    : t("sync.pending");
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("sync.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+        <div className="text-sm text-slate-600 mb-4">{t("sync.intro")}</div>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t("sync.server")}</label>
+            <input
+              value={form.syncServer}
+              onChange={(e) => setForm({ ...form, syncServer: e.target.value })}
+              placeholder={t("sync.serverPlaceholder")}
+              className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t("sync.key")}</label>
+            <div className="flex gap-2">
+              <input
+                value={form.syncKey}
+                onChange={(e) => setForm({ ...form, syncKey: e.target.value })}
+                className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-xl font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <SmallButton onClick={() => setForm({ ...form, syncKey: generateSyncKey() })}>{t("sync.generate")}</SmallButton>
+            </div>
+            <div className="text-xs text-slate-500 mt-1">{t("sync.keyHint")}</div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">{t("sync.token")}</label>
+            <input
+              type="password"
+              value={form.syncToken}
+              onChange={(e) => setForm({ ...form, syncToken: e.target.value })}
+              className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          {formError && <div className="text-sm text-rose-600">{formError}</div>}
+          <div className="flex gap-3">
+            <button type="submit" className="flex-1 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition font-medium">{t("common.save")}</button>
+            {enabled && (
+              <button type="button" onClick={disable} className="px-4 py-2 border border-slate-300 rounded-xl hover:bg-slate-50 active:scale-[0.98] transition">{t("sync.disable")}</button>
+            )}
+          </div>
+        </form>
+
+        <div className="mt-4 pt-3 border-t border-slate-200 flex items-center justify-between gap-3">
+          <div className={classNames("text-sm", status.state === "error" ? "text-rose-600" : "text-slate-600")}>{statusText}</div>
+          {enabled && (
+            <SmallButton onClick={onSyncNow} className={!online || status.state === "syncing" ? "opacity-60" : ""}>{t("sync.now")}</SmallButton>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DeckModal({ deckState, seen, onSwitch, onSave, onDelete, onClose }) {
+  const [editing, setEditing] = useState(null); // { id, name, seeds, words } (chuỗi) khi đang tạo/sửa
+  const [formError, setFormError] = useState("");
+
+  function startEdit(deck) {
+    setFormError("");
+    setEditing(deck
+      ? { id: deck.id, name: deck.name, seeds: deck.seeds.join(", "), words: deck.words.join("\n"), learned: deck.learned }
+      : { id: null, name: "", seeds: "", words: "", learned: [] });
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const name = editing.name.trim();
+    const seeds = parseWordList(editing.seeds);
+    const words = parseWordList(editing.words);
+    if (!name) { setFormError(t("deck.errorName")); return; }
+    if (!seeds.length && !words.length) { setFormError(t("deck.errorEmpty")); return; }
+    onSave({ id: editing.id || `deck_${Date.now().toString(36)}`, name, seeds, words, learned: editing.learned });
+    setEditing(null);
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("deck.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t("deck.name")}</label>
+              <input
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                placeholder={t("deck.namePlaceholder")}
+                className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t("deck.seeds")}</label>
+              <input
+                value={editing.seeds}
+                onChange={(e) => setEditing({ ...editing, seeds: e.target.value })}
+                placeholder="hospital, doctor, surgery"
+                className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{t("deck.words")}</label>
+              <textarea
+                value={editing.words}
+                onChange={(e) => setEditing({ ...editing, words: e.target.value })}
+                rows={5}
+                placeholder={"negotiate\nstakeholder\ndeadline"}
+                className="w-full px-3 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="text-xs text-slate-500 mt-1">{t("deck.wordsHint")}</div>
+            </div>
+            {formError && <div className="text-sm text-rose-600">{formError}</div>}
+            <div className="flex gap-3">
+              <button type="submit" className="flex-1 py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition font-medium">{t("common.save")}</button>
+              <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 border border-slate-300 rounded-xl hover:bg-slate-50 active:scale-[0.98] transition">{t("common.cancel")}</button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-2">
+            {deckState.decks.map(deck => (
+              <div
+                key={deck.id}
+                className={classNames("flex items-center justify-between gap-3 border rounded-xl px-3 py-2", deck.id === deckState.activeId ? "border-blue-300 bg-blue-50" : "border-slate-200")}
+              >
+                <button type="button" className="text-left flex-1" onClick={() => onSwitch(deck.id)} title={t("deck.choose")}>
+                  <div className="font-medium">{deckName(deck)}</div>
+                  <div className="text-xs text-slate-500">
+                    {deck.words.length ? t("deck.fixedWords", { count: deck.words.length }) : t("deck.topics", { topics: `${deck.seeds.slice(0, 4).join(", ")}${deck.seeds.length > 4 ? "…" : ""}` })}
+                    {" · "}{t("deck.learned", { progress: deckProgress(deck, seen) })}
+                  </div>
+                </button>
+                {deck.id !== DEFAULT_DECK_ID && (
+                  <div className="flex items-center gap-1">
+                    <SmallButton onClick={() => startEdit(deck)} title={t("deck.edit")}>✏️</SmallButton>
+                    <SmallButton onClick={() => { if (window.confirm(t("deck.confirmDelete", { name: deckName(deck) }))) onDelete(deck.id); }} title={t("deck.delete")}>🗑️</SmallButton>
+                  </div>
+                )}
+              </div>
+            ))}
+            <SmallButton onClick={() => startEdit(null)} className="w-full">{t("deck.create")}</SmallButton>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function QuizModal({ pool, dueWords, glossCode, glossLabel, onAnswer, onClose }) {
+  const [direction, setDirection] = useState("en-vi");
+  const [asked, setAsked] = useState(() => new Set());
+  const [question, setQuestion] = useState(() => buildQuizQuestion(pool, "en-vi", { prefer: dueWords }));
+  const [picked, setPicked] = useState(null);
+  const [score, setScore] = useState({ correct: 0, total: 0, missed: [] });
+  const finished = !picked && (score.total >= QUIZ_LENGTH || (!question && score.total > 0));
+
+  function nextQuestion(dir = direction, askedSet = asked) {
+    setPicked(null);
+    setQuestion(buildQuizQuestion(pool, dir, { prefer: dueWords, exclude: askedSet }));
+  }
+
+  function restart(dir = direction) {
+    const fresh = new Set();
+    setDirection(dir);
+    setAsked(fresh);
+    setScore({ correct: 0, total: 0, missed: [] });
+    nextQuestion(dir, fresh);
+  }
+
+  function handlePick(option) {
+    if (picked || !question) return;
+    const correct = option.word === question.word;
+    setPicked(option.word);
+    setAsked(prev => new Set(prev).add(question.word));
+    setScore(prev => ({
+      correct: prev.correct + (correct ? 1 : 0),
+      total: prev.total + 1,
+      missed: correct ? prev.missed : [...prev.missed, question.word],
+    }));
+    onAnswer(question.word, correct);
+  }
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("quiz.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+
+        <div className="flex gap-2 mb-4">
+          {[["en-vi", `EN → ${glossCode}`], ["vi-en", `${glossCode} → EN`]].map(([dir, label]) => (
+            <SmallButton key={dir} onClick={() => restart(dir)} className={direction === dir ? "bg-blue-50 border-blue-300" : ""}>{label}</SmallButton>
+          ))}
+          <div className="ml-auto text-sm text-slate-500 self-center">{score.correct}/{score.total}</div>
+        </div>
+
+        {!question && score.total === 0 ? (
+          <div className="text-sm text-slate-500">
+            {t("quiz.notEnough", { count: QUIZ_OPTIONS, gloss: glossLabel })}
+          </div>
+        ) : finished ? (
+          <div className="space-y-3">
+            <div className="text-lg font-medium">{t("quiz.result", { correct: score.correct, total: score.total })}</div>
+            {score.missed.length > 0 && (
+              <div className="text-sm text-slate-600">{t("quiz.missed", { words: score.missed.join(", ") })}</div>
+            )}
+            <SmallButton onClick={() => restart()}>{t("quiz.restart")}</SmallButton>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <div className="text-xs uppercase tracking-wide text-slate-500">
+              {t("quiz.question", { index: score.total + (picked ? 0 : 1), total: QUIZ_LENGTH, task: direction === "en-vi" ? t("quiz.pickMeaning", { gloss: glossLabel }) : t("quiz.pickWord") })}
+            </div>
+            <div className="text-2xl font-bold">{question.prompt}</div>
+            <div className="grid gap-2">
+              {question.options.map(opt => {
+                const isAnswer = opt.word === question.word;
+                return (
+                  <button
+                    key={opt.word}
+                    type="button"
+                    onClick={() => handlePick(opt)}
+                    className={classNames(
+                      "text-left px-3 py-2 rounded-xl border transition",
+                      !picked && "border-slate-200 hover:bg-slate-50",
+                      picked && isAnswer && "border-green-300 bg-green-50",
+                      picked && !isAnswer && picked === opt.word && "border-rose-300 bg-rose-50",
+                      picked && !isAnswer && picked !== opt.word && "border-slate-200 opacity-60"
+                    )}
+                  >{opt.label}</button>
+                );
+              })}
+            </div>
+            {picked && (
+              <SmallButton onClick={() => nextQuestion()}>{score.total >= QUIZ_LENGTH ? t("common.seeResults") : t("quiz.next")}</SmallButton>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DictationModal({ words, cards, dueWords, onResult, onClose }) {
+  // Ưu tiên từ đến hạn ôn, sau đó các từ đã lưu khác
+  const [queue] = useState(() => {
+    const due = shuffle(words.filter(w => dueWords.includes(w)));
+    const rest = shuffle(words.filter(w => !dueWords.includes(w)));
+    return [...due, ...rest].slice(0, DICTATION_LENGTH);
+  });
+  const [index, setIndex] = useState(0);
+  const [input, setInput] = useState("");
+  const [hinted, setHinted] = useState(false);
+  const [checked, setChecked] = useState(null); // { correct, diff }
+  const [results, setResults] = useState([]); // [{ word, typed, correct, hinted }]
+  const inputRef = useRef(null);
+
+  const current = queue[index];
+  const card = current ? cards[current] : null;
+  const finished = index >= queue.length;
+
+  const play = () => current && playWordAudio(current, card?.audioUrl);
+
+  useEffect(() => {
+    if (!current) return;
+    play();
+    inputRef.current?.focus();
+  }, [current]);
+
+  function handleCheck(e) {
+    e?.preventDefault();
+    if (checked) { next(); return; }
+    const typed = input.trim().toLowerCase();
+    if (!typed) return;
+    const correct = typed === current;
+    setChecked({ correct, diff: diffLetters(current, typed) });
+    setResults(prev => [...prev, { word: current, typed, correct, hinted }]);
+    onResult(current, { correct, hinted });
+  }
+
+  function next() {
+    setIndex(i => i + 1);
+    setInput("");
+    setHinted(false);
+    setChecked(null);
+  }
+
+  const correctCount = results.filter(r => r.correct).length;
+  // Mỗi từ đúng 10 điểm, dùng gợi ý IPA còn 5 điểm
+  const points = results.reduce((sum, r) => sum + (r.correct ? (r.hinted ? 5 : 10) : 0), 0);
+  const diffStyle = {
+    ok: "text-green-700",
+    wrong: "text-rose-600 underline",
+    missing: "text-amber-600 bg-amber-50",
+    extra: "text-slate-400 line-through",
+  };
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative bg-white rounded-2xl shadow-xl border border-slate-200 w-full max-w-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold">{t("dictation.title")}</h2>
+          <button type="button" onClick={onClose} className="text-slate-400 hover:text-slate-600">✕</button>
+        </div>
+
+        {queue.length === 0 ? (
+          <div className="text-sm text-slate-500">{t("dictation.empty")}</div>
+        ) : finished ? (
+          <div className="space-y-3">
+            <div className="text-lg font-medium">{t("dictation.result", { correct: correctCount, total: results.length, points })}</div>
+            <ul className="space-y-1 text-sm">
+              {results.map(r => (
+                <li key={r.word} className="flex items-center justify-between gap-3">
+                  <span className="font-medium">{r.word}</span>
+                  <span className={r.correct ? "text-green-700" : "text-rose-600"}>
+                    {r.correct ? `✓${r.hinted ? t("dictation.hinted") : ""}` : `✗ ${r.typed}`}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <form onSubmit={handleCheck} className="space-y-3">
+            <div className="flex items-center justify-between text-xs uppercase tracking-wide text-slate-500">
+              <span>{t("dictation.progress", { index: index + 1, total: queue.length })}</span>
+              <span>{t("dictation.points", { points })}</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <SmallButton onClick={play} title={t("dictation.replayTitle")}>{t("dictation.replay")}</SmallButton>
+              <SmallButton
+                onClick={() => setHinted(true)}
+                title={card?.phonetic ? t("dictation.hintTitle") : t("dictation.noIPATitle")}
+                className={hinted ? "bg-amber-50 border-amber-300" : ""}
+              >{t("dictation.hint")}</SmallButton>
+              {hinted && (
+                <span className="text-slate-600">{card?.phonetic ? `/${String(card.phonetic).replaceAll('/', '')}/` : t("dictation.noIPA")}</span>
+              )}
+            </div>
+            <input
+              ref={inputRef}
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              disabled={!!checked}
+              placeholder={t("dictation.placeholder")}
+              className="w-full px-4 py-2 border border-slate-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              autoComplete="off"
+              autoCapitalize="off"
+              spellCheck={false}
+            />
+            {checked && (
+              <div className={classNames("p-3 rounded-xl border", checked.correct ? "border-green-200 bg-green-50" : "border-rose-200 bg-rose-50")}>
+                <div className="text-sm mb-1">{checked.correct ? t("dictation.correct") : t("dictation.wrong")}</div>
+                {!checked.correct && (
+                  <div className="font-mono text-lg tracking-wider">
+                    {checked.diff.map((d, idx) => (
+                      <span key={idx} className={diffStyle[d.type]} title={d.type === "wrong" ? t("dictation.typed", { typed: d.typed }) : d.type}>{d.char}</span>
+                    ))}
+                  </div>
+                )}
+                {!checked.correct && <div className="text-sm mt-1">{t("dictation.answer")} <span className="font-semibold">{current}</span></div>}
+              </div>
+            )}
+            <button
+              type="submit"
+              className="w-full py-2 bg-blue-500 text-white rounded-xl hover:bg-blue-600 active:scale-[0.98] transition font-medium"
+            >
+              {checked ? (index + 1 >= queue.length ? t("common.seeResults") : t("dictation.next")) : t("dictation.check")}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function FullEntry({ entry, onPick }) {
+  if (entry.loading) return <div className="mt-2 text-sm text-slate-500">{t("entry.loading")}</div>;
+  if (!entry.entries.length) return <div className="mt-2 text-sm text-slate-500">{t("entry.empty")}</div>;
+
+  const WordChips = ({ label, words }) => words?.length ? (
+    <div className="flex flex-wrap items-center gap-1 mt-1">
+      <span className="text-xs text-slate-500 mr-1">{label}:</span>
+      {words.map(w => (
+        <button key={w} type="button" onClick={() => onPick(w)} className="px-2 py-0.5 text-xs border border-slate-200 rounded-lg bg-white hover:bg-slate-50">
+          {w}
+        </button>
+      ))}
+    </div>
+  ) : null;
+
+  const multiple = entry.entries.length > 1;
+  return (
+    <div className="mt-2 space-y-3">
+      {entry.entries.map((e, i) => {
+        const phonetics = (e.phonetics || []).filter(p => p.text || p.audio);
+        return (
+          <div key={i} className="p-3 rounded-xl bg-white border border-slate-200">
+            <div className="flex items-baseline gap-2 flex-wrap">
+              <span className="text-lg font-semibold">{e.word}</span>
+              {multiple && <span className="text-xs text-slate-500">{t("entry.index", { index: i + 1, total: entry.entries.length })}</span>}
+              {phonetics.map((p, j) => (
+                <button
+                  key={j}
+                  type="button"
+                  onClick={() => playWordAudio(e.word, p.audio)}
+                  className="text-sm text-slate-600 hover:text-slate-900"
+                  title={p.audio ? t("entry.listen") : t("entry.speak")}
+                >
+                  {p.text || "🔊"}{p.audio && /-(uk|us|au)\.mp3$/i.test(p.audio) ? ` (${p.audio.match(/-(uk|us|au)\.mp3$/i)[1].toUpperCase()})` : ""}
+                </button>
+              ))}
+            </div>
+            {e.origin && <div className="text-xs text-slate-500 mt-1">{t("entry.origin", { origin: e.origin })}</div>}
+
+            {(e.meanings || []).map((m, k) => (
+              <div key={k} className="mt-3">
+                <div className="text-xs uppercase tracking-wide text-slate-500">{posLabel(m.partOfSpeech)}</div>
+                <ol className="list-decimal ml-5 space-y-1 mt-1">
+                  {(m.definitions || []).map((d, n) => (
+                    <li key={n} className="text-sm">
+                      {d.definition}
+                      {d.example && <div className="text-xs text-slate-500 italic">Ex: {d.example}</div>}
+                      <WordChips label={t("entry.synonyms")} words={d.synonyms} />
+                      <WordChips label={t("entry.antonyms")} words={d.antonyms} />
+                    </li>
+                  ))}
+                </ol>
+                <WordChips label={t("entry.synonyms")} words={m.synonyms} />
+                <WordChips label={t("entry.antonyms")} words={m.antonyms} />
+              </div>
+            ))}
+
+            {e.sourceUrls?.length > 0 && (
+              <div className="mt-3 text-xs text-slate-500">
+                {t("entry.sources")}{" "}
+                {e.sourceUrls.map(url => (
+                  <a key={url} href={url} target="_blank" rel="noreferrer" className="underline hover:no-underline mr-2">
+                    {url.replace(/^https?:\/\//, "")}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function WordForms({ forms }) {
+  if (!forms || (!forms.verb && !forms.plural && !forms.adjective)) return null;
+  const Item = ({ label, value }) => (
+    <div className="px-2 py-1 rounded-lg bg-white border border-slate-200 text-sm">
+      <span className="text-xs text-slate-500 mr-1">{label}</span>{value}
+    </div>
+  );
+  return (
+    <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
+      <div className="text-xs uppercase tracking-wide text-slate-500 mb-2">{t("forms.title")}</div>
+      <div className="flex flex-wrap gap-2">
+        {forms.verb && (
+          <>
+            <Item label="V1" value={forms.verb.base} />
+            <Item label={t("forms.thirdShort")} value={forms.verb.third} />
+            <Item label="V2" value={forms.verb.past} />
+            <Item label="V3" value={forms.verb.participle} />
+            <Item label="V-ing" value={forms.verb.ing} />
+          </>
+        )}
+        {forms.plural && <Item label={t("forms.plural")} value={forms.plural} />}
+        {forms.adjective && (
+          <>
+            <Item label={t("forms.comparative")} value={forms.adjective.comparative} />
+            <Item label={t("forms.superlative")} value={forms.adjective.superlative} />
+          </>
+        )}
+      </div>
     </div>
   );
 }
@@ -1106,48 +3869,50 @@ function SynChips({ syns, onPick }){
           ))}
         </div>
       ) : (
-        <div className="text-xs text-slate-400">(Không có từ đồng nghĩa phù hợp)</div>
+        <div className="text-xs text-slate-400">{t("card.noSynonyms")}</div>
       )}
     </div>
   );
 }
 
 function POSChips({ related, onPick, word }) {
-  const Section = ({ label, items, highlight = false }) => (
+  const Section = ({ label, items }) => (
     <div className="mb-2">
-      <div className="text-xs uppercase tracking-wide text-slate-500 mb-1">
-        {label} {highlight && <span className="text-green-600">(cùng gốc)</span>}
-      </div>
+      <div className="text-xs uppercase tracking-wide text-slate-500 mb-1">{label}</div>
       <div className="flex flex-wrap gap-2">
-        {items && items.length > 0 ? items.map(w => (
+        {items.map(w => (
           <button 
             key={w} 
             onClick={() => onPick(w)} 
-            className={`px-2 py-1 border rounded-lg text-sm hover:bg-slate-50 active:scale-[0.98] ${
-              highlight ? 'border-green-300 bg-green-50' : 'border-slate-200'
-            }`}
+            className="px-2 py-1 border border-slate-200 rounded-lg text-sm hover:bg-slate-50 active:scale-[0.98]"
           >
             {w}
           </button>
-        )) : <span className="text-xs text-slate-400">(không có)</span>}
+        ))}
       </div>
     </div>
   );
 
   const viLabel = (pos) => {
-    if (!pos) return "(không rõ)";
+    if (!pos) return t("pos.unknown");
     const p = String(pos).toLowerCase();
-    if (p.includes("noun")) return "Danh từ (noun)";
-    if (p.includes("verb")) return "Động từ (verb)";
-    if (p.includes("adjective") || p === "adj") return "Tính từ (adjective)";
-    if (p.includes("adverb") || p === "adv") return "Trạng từ (adverb)";
-    return pos;
+    const key = p.includes("noun") ? "noun"
+      : p.includes("verb") ? "verb"
+      : p.includes("adjective") || p === "adj" ? "adjective"
+      : p.includes("adverb") || p === "adv" ? "adverb"
+      : null;
+    return key ? t("pos.withEnglish", { label: posLabel(key), pos: key }) : pos;
   };
 
+  const current = word?.text?.toLowerCase();
+  const family = related.family || [];
+  const labels = { n: posLabel("noun"), v: posLabel("verb"), adj: posLabel("adjective"), adv: posLabel("adverb") };
+  const relatedKeys = ['n', 'v', 'adj', 'adv'].filter(k => (related[k] || []).length > 0);
+
   return (
     <div className="p-3 rounded-xl bg-slate-50 border border-slate-200">
       <div className="mb-3 flex items-center gap-2 flex-wrap">
-        <span className="text-xs uppercase tracking-wide text-slate-500">Từ hiện tại:</span>
+        <span className="text-xs uppercase tracking-wide text-slate-500">{t("family.current")}</span>
         {word?.allPOS && word.allPOS.length > 1 ? (
           word.allPOS.map((pos, idx) => (
             <span key={idx} className="px-2 py-0.5 text-sm rounded-lg border border-slate-200 bg-white">
@@ -1160,67 +3925,41 @@ function POSChips({ related, onPick, word }) {
           </span>
         )}
       </div>
-      {(() => {
-        const posKey = (pos) => {
-          if (!pos) return null;
-          const p = String(pos).toLowerCase();
-          if (p.includes("noun")) return 'n';
-          if (p.includes("verb")) return 'v';
-          if (p.includes("adjective") || p === 'adj') return 'adj';
-          if (p.includes("adverb") || p === 'adv') return 'adv';
-          return null;
-        };
-        
-        // Lấy tất cả các POS của từ hiện tại
-        const currentKeys = word?.allPOS ? 
-          word.allPOS.map(p => posKey(p)).filter(Boolean) : 
-          [posKey(word?.pos)].filter(Boolean);
-        
-        // Sắp xếp: các dạng khác của từ gốc trước, sau đó là từ liên quan
-        const allKeys = ['n','v','adj','adv'];
-        const labels = { n: "Danh từ", v: "Động từ", adj: "Tính từ", adv: "Trạng từ" };
-        const hasAny = allKeys.some(k => (related[k]||[]).length > 0);
-        
-        if (!hasAny) return <div className="text-xs text-slate-400">(Không có từ liên quan)</div>;
-        
-        // Phân loại từ theo gốc từ
-        const wordRoot = word?.text ? word.text.substring(0, Math.min(4, word.text.length)).toLowerCase() : '';
-        
-        return (
-          <div>
-            <div className="text-xs text-slate-600 mb-2 font-medium">Các dạng từ loại khác:</div>
-            {allKeys.map(k => {
-              const items = related[k] || [];
-              if (items.length === 0) return null;
-              
-              // Phân loại từ cùng gốc và từ liên quan
-              const sameRoot = items.filter(w => 
-                w.toLowerCase().includes(wordRoot) || wordRoot.includes(w.substring(0, Math.min(3, w.length)).toLowerCase())
-              );
-              const otherRelated = items.filter(w => !sameRoot.includes(w));
-              
-              return (
-                <div key={k}>
-                  {sameRoot.length > 0 && (
-                    <Section 
-                      label={`${labels[k]} ${currentKeys.includes(k) ? '(hiện tại)' : ''}`} 
-                      items={sameRoot}
-                      highlight={true}
-                    />
-                  )}
-                  {otherRelated.length > 0 && (
-                    <Section 
-                      label={`${labels[k]} liên quan`} 
-                      items={otherRelated}
-                      highlight={false}
-                    />
-                  )}
-                </div>
-              );
-            }).filter(Boolean)}
+
+      {/* Họ từ: decide / decision / decisive / decisively */}
+      {family.length > 1 && (
+        <div className="mb-3">
+          <div className="text-xs uppercase tracking-wide text-slate-500 mb-1">
+            {t("family.title")} <span className="text-green-600">{t("family.sameRoot")}</span>
           </div>
-        );
-      })()}
+          <div className="flex flex-wrap gap-2">
+            {family.map(({ word: w, pos }) => (
+              <button
+                key={w}
+                onClick={() => onPick(w)}
+                disabled={w === current}
+                className={classNames(
+                  "px-2 py-1 border rounded-lg text-sm active:scale-[0.98]",
+                  w === current ? "border-green-500 bg-green-100 font-semibold" : "border-green-300 bg-green-50 hover:bg-green-100"
+                )}
+              >
+                {w} <span className="text-xs text-slate-500">{posLabel(pos)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {relatedKeys.length === 0 ? (
+        family.length <= 1 && <div className="text-xs text-slate-400">{t("family.none")}</div>
+      ) : (
+        <div>
+          <div className="text-xs text-slate-600 mb-2 font-medium">{t("family.relatedByPOS")}</div>
+          {relatedKeys.map(k => (
+            <Section key={k} label={t("family.related", { pos: labels[k] })} items={related[k]} />
+          ))}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
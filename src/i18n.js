@@ -0,0 +1,705 @@
+/**
+ * Chuỗi giao diện theo ngôn ngữ (vi/en).
+ * - t("key", { name }) thay "{name}" bằng giá trị; có params.count thì ưu tiên khoá "key_one" khi count = 1.
+ * - Thiếu khoá ở ngôn ngữ đang chọn thì dùng tiếng Việt, thiếu cả hai thì trả về chính khoá.
+ * - Ngôn ngữ hiện tại là biến module: App gọi setLocale() khi người dùng đổi, các hàm ngoài React cũng dùng được t().
+ */
+
+export const UI_LANGUAGES = { vi: "Tiếng Việt", en: "English" };
+export const DEFAULT_UI_LANG = "vi";
+
+const MESSAGES = {
+  vi: {
+    // Chung
+    "common.close": "Đóng",
+    "common.cancel": "Hủy",
+    "common.save": "Lưu",
+    "common.saveIcon": "💾 Lưu",
+    "common.edit": "Sửa",
+    "common.delete": "🗑️ Xoá",
+    "common.noData": "(Chưa có dữ liệu)",
+    "common.seeResults": "Xem kết quả",
+    "common.loadError": "Lỗi tải dữ liệu.",
+    "common.wordLoadError": "Lỗi tải từ.",
+    "common.uiLanguage": "Ngôn ngữ giao diện",
+
+    // Ngôn ngữ nghĩa (dùng trong câu "nghĩa ...")
+    "gloss.vi": "tiếng Việt",
+    "gloss.ja": "tiếng Nhật",
+    "gloss.ko": "tiếng Hàn",
+    "gloss.th": "tiếng Thái",
+    "gloss.id": "tiếng Indonesia",
+    "gloss.fr": "tiếng Pháp",
+    "gloss.es": "tiếng Tây Ban Nha",
+    "gloss.de": "tiếng Đức",
+    "gloss.select": "Ngôn ngữ nghĩa — mỗi cặp ngôn ngữ có bộ sưu tập riêng",
+
+    // Từ loại
+    "pos.noun": "Danh từ",
+    "pos.verb": "Động từ",
+    "pos.adjective": "Tính từ",
+    "pos.adverb": "Trạng từ",
+    "pos.unknown": "(không rõ)",
+    "pos.withEnglish": "{label} ({pos})",
+
+    // Thời gian đến hạn
+    "due.now": "đến hạn",
+    "due.minutes": "{count} phút",
+    "due.hours": "{count} giờ",
+    "due.days": "{count} ngày",
+
+    // Deck
+    "deck.defaultName": "Đời sống & công việc",
+    "deck.linkNotFound": "Không tìm thấy bộ từ \"{name}\" trên máy này, đang dùng bộ từ hiện tại",
+    "deck.learnedCount": "{count} từ",
+    "deck.title": "Bộ từ vựng",
+    "deck.name": "Tên bộ từ",
+    "deck.namePlaceholder": "Ví dụ: IT interview, Hospital, IELTS Writing",
+    "deck.seeds": "Chủ đề gợi ý (cách nhau bởi dấu phẩy)",
+    "deck.words": "Hoặc danh sách từ cố định (mỗi dòng một từ)",
+    "deck.wordsHint": "Nếu có danh sách từ, app chỉ lấy từ trong danh sách này.",
+    "deck.errorName": "Vui lòng đặt tên cho bộ từ",
+    "deck.errorEmpty": "Cần ít nhất một chủ đề hoặc một từ trong danh sách",
+    "deck.choose": "Chọn bộ từ này",
+    "deck.fixedWords": "{count} từ cố định",
+    "deck.topics": "Chủ đề: {topics}",
+    "deck.learned": "Đã học: {progress}",
+    "deck.edit": "Sửa bộ từ",
+    "deck.delete": "Xoá bộ từ",
+    "deck.confirmDelete": "Xoá bộ từ \"{name}\"?",
+    "deck.create": "➕ Tạo bộ từ mới",
+    "deck.open": "Chọn hoặc tạo bộ từ",
+
+    // Nhập / xuất
+    "import.notBackup": "File JSON không phải bản sao lưu của Vocab Swipe.",
+    "import.noWords": "Bản sao lưu không có dữ liệu từ vựng.",
+    "import.unreadable": "Không đọc được từ nào trong file.",
+    "import.wrongLang": "bản sao lưu thuộc bộ Anh - {name}. Hãy chuyển ngôn ngữ nghĩa sang {name} rồi nhập lại.",
+    "import.failed": "Không nhập được file: {error}",
+    "import.done": "Đã nhập {total} từ ({added} từ mới).",
+    "storage.full": "Bộ nhớ trình duyệt đã đầy, tiến độ mới chỉ được giữ trong phiên này. Hãy xuất bản sao lưu JSON.",
+
+    // Tải từ
+    "load.deckFinished": "Đã học hết các từ trong bộ \"{name}\".",
+    "load.offlineExhausted": "Đang offline và gói từ offline đã học hết. Hãy tải gói offline khi có mạng.",
+    "load.noCandidate": "Không tìm được từ phù hợp, thử lại.",
+    "load.noDictionary": "Không tìm thấy từ nào có dữ liệu từ điển phù hợp.",
+    "load.notFound": "Không tìm thấy từ: {word}",
+    "load.loading": "Đang tải từ mới…",
+    "offline.interrupted": "Tải gói offline bị gián đoạn: {error}",
+
+    // Header
+    "header.offline": "📴 Offline",
+    "header.offlineTitle": "Đang dùng dữ liệu đã lưu",
+    "header.search": "🔍 Tìm",
+    "header.searchTitle": "Tìm kiếm từ (Ctrl+K)",
+    "header.review": "🔁 Ôn tập ({count})",
+    "header.reviewTitle": "Ôn tập các từ đến hạn trước khi lấy từ mới",
+    "header.stats": "📊 Thống kê",
+    "header.statsTitle": "Thống kê học tập",
+    "header.quiz": "🎯 Quiz",
+    "header.quizTitle": "Trắc nghiệm nghĩa các từ đã học",
+    "header.dictation": "🎧 Chính tả",
+    "header.dictationTitle": "Nghe và gõ lại từ đã học",
+    "header.seen": "📚 Đã xem ({count})",
+    "header.seenTitle": "Xem danh sách đã xem",
+    "header.next": "🔄 Từ mới",
+    "header.nextTitle": "Lấy từ mới ({count} thẻ đã chuẩn bị sẵn)",
+    "header.pack": "📥 Gói offline ({count})",
+    "header.packTitle": "Tải thêm {count} từ để học offline",
+    "header.packNeedsNetwork": "Cần có mạng để tải gói",
+
+    // Lịch sử thẻ
+    "history.back": "◀ Quay lại",
+    "history.backTitle": "Thẻ trước",
+    "history.forward": "Tiếp ▶",
+    "history.forwardTitle": "Thẻ sau",
+    "history.undo": "↶ Hoàn tác \"{word}\"",
+    "history.undoTitle": "Hoàn tác lần quẹt gần nhất (Ctrl+Z)",
+
+    // Thẻ từ
+    "card.review": "Ôn tập",
+    "card.baseForm": "↳ {form} của",
+    "card.openBaseForm": "Mở dạng gốc",
+    "card.pronounce": "Phát âm",
+    "card.notes": "📝 Ghi chú",
+    "card.notesTitle": "Ghi chú, ví dụ riêng, sửa nghĩa {gloss}",
+    "card.link": "🔗 Liên kết",
+    "card.linkTitle": "Chép liên kết tới từ này",
+    "card.linkCopied": "Đã chép liên kết: {url}",
+    "card.save": "⭐ Lưu",
+    "card.saveTitle": "Lưu vào Đã xem",
+    "card.definitions": "Định nghĩa ({lang}) - Tap để {action}",
+    "card.showEnglish": "xem tiếng Anh",
+    "card.translate": "dịch",
+    "card.translating": "Đang dịch...",
+    "card.translatingParen": "(đang dịch...)",
+    "card.noDefinitions": "(không có định nghĩa)",
+    "card.meanings": "Nghĩa {gloss}",
+    "card.preferGloss": "Chọn làm nghĩa ưu tiên",
+    "card.unpreferGloss": "Bỏ chọn nghĩa ưu tiên",
+    "card.preferNeedsSave": "Lưu từ vào bộ sưu tập để bình chọn nghĩa",
+    "glossSource.memory": "bộ nhớ dịch",
+    "glossSource.machine": "dịch máy",
+    "glossSource.score": "tin cậy {percent}%",
+    "card.fullEntry": "📖 Xem mục từ đầy đủ",
+    "card.collapseEntry": "▲ Thu gọn mục từ",
+    "card.fullEntryTitle": "Tất cả nghĩa, ví dụ, từ đồng/trái nghĩa và các mục từ khác",
+    "card.examples": "💬 Ví dụ và hội thoại",
+    "card.examplesPrompt": "cho tôi các dạng động từ nếu có, ví dụ và các đoạn hội thoại phổ biến với từ {word}",
+    "card.synonyms": "Từ đồng nghĩa",
+    "card.otherPOS": "Dạng từ loại khác",
+    "card.noSynonyms": "(Không có từ đồng nghĩa phù hợp)",
+
+    // Quẹt / đánh giá
+    "swipe.good": "✅ Đã biết",
+    "swipe.again": "❌ Không biết",
+    "swipe.hard": "😓 Khó",
+    "swipe.easy": "⚡ Quá dễ",
+    "swipe.left": "trái",
+    "swipe.right": "phải",
+    "swipe.up": "lên",
+    "swipe.down": "xuống",
+    "swipe.title": "Quẹt {dir}",
+    "swipe.hint": "Gợi ý: quẹt",
+    "swipe.hintKeys": "(hoặc dùng phím ←/→, Shift+↑/↓). Quẹt lên/xuống bằng tay nắm ⇅ ở đầu thẻ.",
+    "swipe.handleTitle": "Kéo lên/xuống ở đây để chấm quá dễ/khó",
+    "swipe.meaning.left": "đã biết",
+    "swipe.meaning.right": "không biết",
+    "swipe.meaning.down": "khó",
+    "swipe.meaning.up": "quá dễ",
+    "swipe.reviewHint": "Đang ở chế độ ôn tập: các từ đến hạn sẽ hiện trước.",
+
+    // Danh sách đã xem
+    "seen.title": "Danh sách đã xem ({count})",
+    "seen.exportAnki": "⬇️ Anki (TSV)",
+    "seen.exportAnkiTitle": "Xuất file TSV để nhập vào Anki",
+    "seen.exportJSON": "⬇️ JSON",
+    "seen.exportJSONTitle": "Sao lưu đầy đủ (kèm lịch ôn)",
+    "seen.import": "⬆️ Nhập",
+    "seen.importTitle": "Nhập từ file JSON/TSV/CSV, gộp với danh sách hiện tại",
+    "seen.filter": "Lọc theo từ, nghĩa hoặc ghi chú...",
+    "seen.empty": "Chưa có từ nào.",
+    "seen.noMatch": "Không có từ nào khớp.",
+    "seen.open": "Mở từ này · đã tra {count} lần",
+    "seen.lastRating": "Đánh giá gần nhất",
+    "seen.nextReview": "Lần ôn tiếp theo",
+    "seen.remove": "Xoá khỏi Đã xem",
+
+    // Tìm kiếm
+    "search.title": "Tìm kiếm từ vựng",
+    "search.labelEnglish": "Nhập từ tiếng Anh",
+    "search.labelReverse": "Nhập nghĩa {gloss} (có dấu hoặc không dấu)",
+    "search.placeholderEnglish": "Ví dụ: happy, work, computer...",
+    "search.placeholderReverse": "Ví dụ: thương lượng, thuong luong...",
+    "search.studied": "đã học",
+    "search.didYouMean": "Không tìm thấy \"{term}\". Có phải bạn muốn tìm:",
+    "search.reverseLoading": "Đang tra \"{query}\"...",
+    "search.reverseEmpty": "Không tìm thấy từ tiếng Anh cho \"{query}\".",
+    "search.fromStudied": "đã học · {gloss}",
+    "search.fromTranslation": "bản dịch · {gloss}",
+    "search.submit": "🔍 Tìm kiếm",
+    "search.tip": "Nhập từ vựng tiếng Anh để xem định nghĩa và nghĩa {gloss}",
+    "search.popular": "Gợi ý từ phổ biến:",
+    "search.empty": "Vui lòng nhập từ cần tìm",
+    "search.invalid": "Vui lòng chỉ nhập các ký tự tiếng Anh",
+
+    "footer.sources": "Nguồn dữ liệu: {sources}.",
+
+    // Hồ sơ người học
+    "profile.defaultName": "Hồ sơ chính",
+    "profile.importedName": "Hồ sơ đã nhập",
+    "profile.open": "Đổi hoặc tạo hồ sơ người học",
+    "profile.title": "Hồ sơ người học",
+    "profile.intro": "Mỗi hồ sơ có danh sách từ, bộ từ, cài đặt và thống kê riêng trên thiết bị này.",
+    "profile.name": "Tên hồ sơ",
+    "profile.namePlaceholder": "Ví dụ: Minh, Lan, Nhóm kỹ thuật",
+    "profile.errorName": "Vui lòng đặt tên cho hồ sơ",
+    "profile.choose": "Chuyển sang hồ sơ này",
+    "profile.active": "Đang dùng",
+    "profile.rename": "Đổi tên hồ sơ",
+    "profile.export": "Xuất toàn bộ dữ liệu của hồ sơ (JSON)",
+    "profile.delete": "Xoá hồ sơ và toàn bộ dữ liệu",
+    "profile.confirmDelete": "Xoá hồ sơ \"{name}\" cùng toàn bộ từ đã học, bộ từ và cài đặt? Không thể hoàn tác.",
+    "profile.create": "➕ Tạo hồ sơ mới",
+    "profile.import": "⬆️ Nhập",
+    "profile.importTitle": "Nhập bản sao lưu hồ sơ thành một hồ sơ mới",
+    "profile.notBackup": "File không phải bản sao lưu hồ sơ của Vocab Swipe.",
+
+    // Đồng bộ
+    "sync.button": "☁️ Đồng bộ",
+    "sync.open": "Đồng bộ tiến độ giữa các thiết bị",
+    "sync.title": "Đồng bộ giữa các thiết bị",
+    "sync.intro": "Tiến độ được gửi lên server đồng bộ (server.js) và gộp với các máy dùng cùng mã đồng bộ.",
+    "sync.server": "Địa chỉ server",
+    "sync.serverPlaceholder": "Để trống = cùng địa chỉ với app",
+    "sync.key": "Mã đồng bộ",
+    "sync.keyHint": "Nhập cùng mã này trên điện thoại/máy tính khác. Ai có mã đều đọc được dữ liệu, hãy giữ riêng.",
+    "sync.generate": "🎲 Tạo mã",
+    "sync.token": "Mã truy cập server (nếu server đặt SYNC_TOKEN)",
+    "sync.errorKey": "Mã đồng bộ cần 16-64 ký tự chữ, số, \"-\" hoặc \"_\"",
+    "sync.disable": "Tắt đồng bộ",
+    "sync.now": "🔄 Đồng bộ ngay",
+    "sync.disabled": "Chưa bật đồng bộ.",
+    "sync.offline": "Đang offline, sẽ đồng bộ khi có mạng.",
+    "sync.syncing": "Đang đồng bộ...",
+    "sync.ok": "Đã đồng bộ lúc {time}.",
+    "sync.error": "Đồng bộ lỗi: {error}",
+    "sync.pending": "Sẽ đồng bộ sau vài giây.",
+    "sync.serverError.http": "server trả lỗi HTTP {status}",
+    "sync.serverError.storageFull": "server đã đủ số bộ sưu tập cho phép",
+    "sync.serverError.bodyTooLarge": "dữ liệu gửi lên quá lớn",
+    "sync.serverError.invalidJSON": "dữ liệu gửi lên không phải JSON hợp lệ",
+    "sync.serverError.unauthorized": "sai hoặc thiếu mã truy cập server",
+    "sync.serverError.methodNotAllowed": "server không hỗ trợ yêu cầu này",
+    "sync.serverError.missingWords": "dữ liệu gửi lên thiếu danh sách từ",
+    "sync.serverError.tooManyWords": "bộ sưu tập vượt quá {limit} từ",
+    "sync.serverError.storeTooLarge": "bộ sưu tập vượt quá dung lượng cho phép",
+    "sync.serverError.notFound": "địa chỉ không phải server đồng bộ",
+    "sync.serverError.serverError": "server gặp lỗi, hãy thử lại sau",
+
+    // Lỗi mạng / provider (src/network.js)
+    "network.timeout": "quá thời gian chờ phản hồi",
+    "network.network": "không kết nối được",
+    "network.http": "server trả lỗi {status}",
+    "network.rateLimit": "gọi quá nhiều, đang bị giới hạn tạm thời",
+    "network.quota": "đã hết hạn mức miễn phí",
+    "network.invalid": "dữ liệu trả về không hợp lệ",
+    "network.banner": "Một số nguồn dữ liệu đang gặp sự cố, app dùng dữ liệu đã lưu khi có thể:",
+    "network.retryAt": "(thử lại sau {time})",
+
+    // Thống kê
+    "stats.title": "Thống kê học tập",
+    "stats.total": "Tổng số từ",
+    "stats.streak": "Chuỗi hiện tại (ngày)",
+    "stats.bestStreak": "Chuỗi dài nhất",
+    "stats.today": "Mục tiêu hôm nay:",
+    "stats.todayRest": "từ mới · {reviewed} lượt ôn",
+    "stats.goal": "Mục tiêu",
+    "stats.recentDays": "{count} ngày gần đây",
+    "stats.dayTitle": "{day}: {learned} từ mới, {reviewed} lượt ôn",
+    "stats.newWords": "từ mới",
+    "stats.reviews": "lượt ôn",
+    "stats.byPOS": "Theo từ loại",
+
+    // Ghi chú riêng
+    "notes.title": "Ghi chú của bạn",
+    "notes.meaning": "Nghĩa:",
+    "notes.meaningLabel": "Nghĩa {gloss} (để trống = dùng nghĩa dịch tự động)",
+    "notes.meaningPlaceholder": "nghĩa 1; nghĩa 2",
+    "notes.notes": "Ghi chú",
+    "notes.examples": "Ví dụ của bạn (mỗi dòng một câu)",
+
+    // Quiz
+    "quiz.title": "Quiz từ vựng",
+    "quiz.notEnough": "Cần ít nhất {count} từ đã lưu có nghĩa {gloss} để làm quiz. Hãy quẹt thêm vài từ nhé!",
+    "quiz.result": "Kết quả: {correct}/{total} câu đúng",
+    "quiz.missed": "Cần ôn lại: {words}",
+    "quiz.restart": "🔄 Làm lại",
+    "quiz.question": "Câu {index}/{total} — {task}",
+    "quiz.pickMeaning": "Chọn nghĩa {gloss} đúng",
+    "quiz.pickWord": "Chọn từ tiếng Anh đúng",
+    "quiz.next": "Câu tiếp →",
+
+    // Chính tả
+    "dictation.title": "Nghe và viết chính tả",
+    "dictation.empty": "Chưa có từ nào đã lưu để luyện chính tả.",
+    "dictation.result": "Kết quả: {correct}/{total} từ đúng — {points} điểm",
+    "dictation.hinted": " (gợi ý)",
+    "dictation.progress": "Từ {index}/{total}",
+    "dictation.points": "{points} điểm",
+    "dictation.replay": "🔊 Nghe lại",
+    "dictation.replayTitle": "Nghe lại",
+    "dictation.hint": "💡 Gợi ý",
+    "dictation.hintTitle": "Hiện phiên âm IPA (giảm một nửa điểm)",
+    "dictation.noIPATitle": "Không có phiên âm cho từ này",
+    "dictation.noIPA": "(không có IPA)",
+    "dictation.placeholder": "Gõ từ bạn nghe được...",
+    "dictation.correct": "Chính xác! 🎉",
+    "dictation.wrong": "Chưa đúng:",
+    "dictation.typed": "Bạn gõ \"{typed}\"",
+    "dictation.answer": "Đáp án:",
+    "dictation.next": "Từ tiếp →",
+    "dictation.check": "Kiểm tra",
+
+    // Mục từ đầy đủ
+    "entry.loading": "Đang tải mục từ...",
+    "entry.empty": "(không có dữ liệu từ điển)",
+    "entry.index": "mục {index}/{total}",
+    "entry.listen": "Nghe phát âm",
+    "entry.speak": "Đọc bằng giọng máy",
+    "entry.origin": "Nguồn gốc: {origin}",
+    "entry.synonyms": "Đồng nghĩa",
+    "entry.antonyms": "Trái nghĩa",
+    "entry.sources": "Nguồn:",
+
+    // Dạng từ
+    "forms.title": "Dạng từ",
+    "forms.ing": "V-ing",
+    "forms.past": "V2/V3",
+    "forms.participle": "V3",
+    "forms.third": "ngôi 3 số ít",
+    "forms.present": "hiện tại",
+    "forms.plural": "số nhiều",
+    "forms.comparative": "so sánh hơn",
+    "forms.superlative": "so sánh nhất",
+    "forms.thirdShort": "ngôi 3",
+
+    // Họ từ / từ liên quan
+    "family.current": "Từ hiện tại:",
+    "family.title": "Họ từ",
+    "family.sameRoot": "(cùng gốc)",
+    "family.none": "(Không có từ liên quan)",
+    "family.relatedByPOS": "Từ liên quan theo từ loại:",
+    "family.related": "{pos} liên quan",
+  },
+
+  en: {
+    "common.close": "Close",
+    "common.cancel": "Cancel",
+    "common.save": "Save",
+    "common.saveIcon": "💾 Save",
+    "common.edit": "Edit",
+    "common.delete": "🗑️ Delete",
+    "common.noData": "(No data yet)",
+    "common.seeResults": "See results",
+    "common.loadError": "Failed to load data.",
+    "common.wordLoadError": "Failed to load word.",
+    "common.uiLanguage": "Interface language",
+
+    "gloss.vi": "Vietnamese",
+    "gloss.ja": "Japanese",
+    "gloss.ko": "Korean",
+    "gloss.th": "Thai",
+    "gloss.id": "Indonesian",
+    "gloss.fr": "French",
+    "gloss.es": "Spanish",
+    "gloss.de": "German",
+    "gloss.select": "Meaning language — each language pair has its own collection",
+
+    "pos.noun": "Noun",
+    "pos.verb": "Verb",
+    "pos.adjective": "Adjective",
+    "pos.adverb": "Adverb",
+    "pos.unknown": "(unknown)",
+    "pos.withEnglish": "{label}",
+
+    "due.now": "due",
+    "due.minutes": "{count} min",
+    "due.hours": "{count} h",
+    "due.hours_one": "1 h",
+    "due.days": "{count} days",
+    "due.days_one": "1 day",
+
+    "deck.defaultName": "Everyday life & work",
+    "deck.linkNotFound": "Deck \"{name}\" was not found on this device, staying on the current deck",
+    "deck.learnedCount": "{count} words",
+    "deck.learnedCount_one": "1 word",
+    "deck.title": "Word decks",
+    "deck.name": "Deck name",
+    "deck.namePlaceholder": "e.g. IT interview, Hospital, IELTS Writing",
+    "deck.seeds": "Suggested topics (comma separated)",
+    "deck.words": "Or a fixed word list (one word per line)",
+    "deck.wordsHint": "If a word list is given, the app only picks words from it.",
+    "deck.errorName": "Please name the deck",
+    "deck.errorEmpty": "Add at least one topic or one word to the list",
+    "deck.choose": "Use this deck",
+    "deck.fixedWords": "{count} fixed words",
+    "deck.topics": "Topics: {topics}",
+    "deck.learned": "Learned: {progress}",
+    "deck.edit": "Edit deck",
+    "deck.delete": "Delete deck",
+    "deck.confirmDelete": "Delete deck \"{name}\"?",
+    "deck.create": "➕ New deck",
+    "deck.open": "Choose or create a deck",
+
+    "import.notBackup": "This JSON file is not a Vocab Swipe backup.",
+    "import.noWords": "The backup contains no vocabulary data.",
+    "import.unreadable": "No words could be read from the file.",
+    "import.wrongLang": "the backup belongs to the English - {name} collection. Switch the meaning language to {name} and import again.",
+    "import.failed": "Could not import file: {error}",
+    "import.done": "Imported {total} words ({added} new).",
+    "storage.full": "Browser storage is full; new progress is only kept for this session. Please export a JSON backup.",
+
+    "load.deckFinished": "You have learned every word in \"{name}\".",
+    "load.offlineExhausted": "You are offline and the offline pack is used up. Download a pack when you are back online.",
+    "load.noCandidate": "Could not find a suitable word, please try again.",
+    "load.noDictionary": "No word with matching dictionary data was found.",
+    "load.notFound": "Word not found: {word}",
+    "load.loading": "Loading a new word…",
+    "offline.interrupted": "Offline pack download was interrupted: {error}",
+
+    "header.offline": "📴 Offline",
+    "header.offlineTitle": "Using saved data",
+    "header.search": "🔍 Search",
+    "header.searchTitle": "Search words (Ctrl+K)",
+    "header.review": "🔁 Review ({count})",
+    "header.reviewTitle": "Review due words before getting new ones",
+    "header.stats": "📊 Stats",
+    "header.statsTitle": "Learning statistics",
+    "header.quiz": "🎯 Quiz",
+    "header.quizTitle": "Multiple-choice quiz on learned words",
+    "header.dictation": "🎧 Dictation",
+    "header.dictationTitle": "Listen and type learned words",
+    "header.seen": "📚 Seen ({count})",
+    "header.seenTitle": "Show seen words",
+    "header.next": "🔄 New word",
+    "header.nextTitle": "Get a new word ({count} cards ready)",
+    "header.pack": "📥 Offline pack ({count})",
+    "header.packTitle": "Download {count} more words for offline study",
+    "header.packNeedsNetwork": "A network connection is needed to download",
+
+    "history.back": "◀ Back",
+    "history.backTitle": "Previous card",
+    "history.forward": "Forward ▶",
+    "history.forwardTitle": "Next card",
+    "history.undo": "↶ Undo \"{word}\"",
+    "history.undoTitle": "Undo the last swipe (Ctrl+Z)",
+
+    "card.review": "Review",
+    "card.baseForm": "↳ {form} of",
+    "card.openBaseForm": "Open base form",
+    "card.pronounce": "Pronounce",
+    "card.notes": "📝 Notes",
+    "card.notesTitle": "Notes, your own examples, corrected {gloss} meaning",
+    "card.link": "🔗 Link",
+    "card.linkTitle": "Copy a link to this word",
+    "card.linkCopied": "Link copied: {url}",
+    "card.save": "⭐ Save",
+    "card.saveTitle": "Save to Seen",
+    "card.definitions": "Definitions ({lang}) - Tap to {action}",
+    "card.showEnglish": "show English",
+    "card.translate": "translate",
+    "card.translating": "Translating...",
+    "card.translatingParen": "(translating...)",
+    "card.noDefinitions": "(no definitions)",
+    "card.meanings": "{gloss} meaning",
+    "card.preferGloss": "Vote as preferred meaning",
+    "card.unpreferGloss": "Remove preferred vote",
+    "card.preferNeedsSave": "Save the word to your collection to vote for a meaning",
+    "glossSource.memory": "translation memory",
+    "glossSource.machine": "machine translation",
+    "glossSource.score": "{percent}% confidence",
+    "card.fullEntry": "📖 Full dictionary entry",
+    "card.collapseEntry": "▲ Collapse entry",
+    "card.fullEntryTitle": "Every sense, examples, synonyms/antonyms and other entries",
+    "card.examples": "💬 Examples & dialogues",
+    "card.examplesPrompt": "give me the verb forms if any, examples and common dialogues using the word {word}",
+    "card.synonyms": "Synonyms",
+    "card.otherPOS": "Other parts of speech",
+    "card.noSynonyms": "(No suitable synonyms)",
+
+    "swipe.good": "✅ Know it",
+    "swipe.again": "❌ Don't know",
+    "swipe.hard": "😓 Hard",
+    "swipe.easy": "⚡ Too easy",
+    "swipe.left": "left",
+    "swipe.right": "right",
+    "swipe.up": "up",
+    "swipe.down": "down",
+    "swipe.title": "Swipe {dir}",
+    "swipe.hint": "Tip: swipe",
+    "swipe.hintKeys": "(or use ←/→ and Shift+↑/↓). Swipe up/down with the ⇅ handle at the top of the card.",
+    "swipe.handleTitle": "Drag up/down here to rate too easy/hard",
+    "swipe.meaning.left": "know it",
+    "swipe.meaning.right": "don't know",
+    "swipe.meaning.down": "hard",
+    "swipe.meaning.up": "too easy",
+    "swipe.reviewHint": "Review mode: due words are shown first.",
+
+    "seen.title": "Seen words ({count})",
+    "seen.exportAnki": "⬇️ Anki (TSV)",
+    "seen.exportAnkiTitle": "Export a TSV file for Anki",
+    "seen.exportJSON": "⬇️ JSON",
+    "seen.exportJSONTitle": "Full backup (with review schedule)",
+    "seen.import": "⬆️ Import",
+    "seen.importTitle": "Import a JSON/TSV/CSV file and merge it with the current list",
+    "seen.filter": "Filter by word, meaning or note...",
+    "seen.empty": "No words yet.",
+    "seen.noMatch": "No matching words.",
+    "seen.open": "Open this word · looked up {count} times",
+    "seen.open_one": "Open this word · looked up once",
+    "seen.lastRating": "Last rating",
+    "seen.nextReview": "Next review",
+    "seen.remove": "Remove from Seen",
+
+    "search.title": "Search vocabulary",
+    "search.labelEnglish": "Enter an English word",
+    "search.labelReverse": "Enter a {gloss} meaning (with or without diacritics)",
+    "search.placeholderEnglish": "e.g. happy, work, computer...",
+    "search.placeholderReverse": "e.g. thương lượng, thuong luong...",
+    "search.studied": "studied",
+    "search.didYouMean": "\"{term}\" was not found. Did you mean:",
+    "search.reverseLoading": "Looking up \"{query}\"...",
+    "search.reverseEmpty": "No English word found for \"{query}\".",
+    "search.fromStudied": "studied · {gloss}",
+    "search.fromTranslation": "translation · {gloss}",
+    "search.submit": "🔍 Search",
+    "search.tip": "Enter an English word to see its definitions and {gloss} meaning",
+    "search.popular": "Popular suggestions:",
+    "search.empty": "Please enter a word to search",
+    "search.invalid": "Please use English letters only",
+
+    "footer.sources": "Data sources: {sources}.",
+
+    "profile.defaultName": "Main profile",
+    "profile.importedName": "Imported profile",
+    "profile.open": "Switch or create a learner profile",
+    "profile.title": "Learner profiles",
+    "profile.intro": "Each profile keeps its own words, decks, settings and stats on this device.",
+    "profile.name": "Profile name",
+    "profile.namePlaceholder": "e.g. Minh, Lan, Engineering team",
+    "profile.errorName": "Please name the profile",
+    "profile.choose": "Switch to this profile",
+    "profile.active": "In use",
+    "profile.rename": "Rename profile",
+    "profile.export": "Export all of this profile's data (JSON)",
+    "profile.delete": "Delete the profile and all its data",
+    "profile.confirmDelete": "Delete profile \"{name}\" with all learned words, decks and settings? This cannot be undone.",
+    "profile.create": "➕ New profile",
+    "profile.import": "⬆️ Import",
+    "profile.importTitle": "Import a profile backup as a new profile",
+    "profile.notBackup": "This file is not a Vocab Swipe profile backup.",
+
+    "sync.button": "☁️ Sync",
+    "sync.open": "Sync progress across devices",
+    "sync.title": "Sync across devices",
+    "sync.intro": "Progress is sent to the sync server (server.js) and merged with every device using the same sync key.",
+    "sync.server": "Server address",
+    "sync.serverPlaceholder": "Leave empty to use the app's own address",
+    "sync.key": "Sync key",
+    "sync.keyHint": "Enter the same key on your other phone/computer. Anyone with the key can read the data, so keep it private.",
+    "sync.generate": "🎲 Generate",
+    "sync.token": "Server access token (if the server sets SYNC_TOKEN)",
+    "sync.errorKey": "The sync key needs 16-64 letters, digits, \"-\" or \"_\"",
+    "sync.disable": "Turn off sync",
+    "sync.now": "🔄 Sync now",
+    "sync.disabled": "Sync is off.",
+    "sync.offline": "Offline; will sync when back online.",
+    "sync.syncing": "Syncing...",
+    "sync.ok": "Synced at {time}.",
+    "sync.error": "Sync failed: {error}",
+    "sync.pending": "Syncing in a few seconds.",
+    "sync.serverError.http": "the server returned HTTP {status}",
+    "sync.serverError.storageFull": "the server has reached its collection limit",
+    "sync.serverError.bodyTooLarge": "the upload is too large",
+    "sync.serverError.invalidJSON": "the upload is not valid JSON",
+    "sync.serverError.unauthorized": "wrong or missing server access token",
+    "sync.serverError.methodNotAllowed": "the server does not support this request",
+    "sync.serverError.missingWords": "the upload has no word list",
+    "sync.serverError.tooManyWords": "the collection has more than {limit} words",
+    "sync.serverError.storeTooLarge": "the collection is larger than the server allows",
+    "sync.serverError.notFound": "this address is not a sync server",
+    "sync.serverError.serverError": "the server hit an error, try again later",
+
+    "network.timeout": "timed out waiting for a response",
+    "network.network": "could not connect",
+    "network.http": "server returned error {status}",
+    "network.rateLimit": "too many requests, temporarily rate-limited",
+    "network.quota": "free quota used up",
+    "network.invalid": "returned invalid data",
+    "network.banner": "Some data sources are having problems; the app uses saved data where it can:",
+    "network.retryAt": "(retrying after {time})",
+
+    "stats.title": "Learning statistics",
+    "stats.total": "Total words",
+    "stats.streak": "Current streak (days)",
+    "stats.bestStreak": "Longest streak",
+    "stats.today": "Today's goal:",
+    "stats.todayRest": "new words · {reviewed} reviews",
+    "stats.goal": "Goal",
+    "stats.recentDays": "Last {count} days",
+    "stats.dayTitle": "{day}: {learned} new words, {reviewed} reviews",
+    "stats.newWords": "new words",
+    "stats.reviews": "reviews",
+    "stats.byPOS": "By part of speech",
+
+    "notes.title": "Your notes",
+    "notes.meaning": "Meaning:",
+    "notes.meaningLabel": "{gloss} meaning (leave empty to use the automatic translation)",
+    "notes.meaningPlaceholder": "meaning 1; meaning 2",
+    "notes.notes": "Notes",
+    "notes.examples": "Your examples (one sentence per line)",
+
+    "quiz.title": "Vocabulary quiz",
+    "quiz.notEnough": "You need at least {count} saved words with a {gloss} meaning for the quiz. Swipe a few more words!",
+    "quiz.result": "Result: {correct}/{total} correct",
+    "quiz.missed": "Review again: {words}",
+    "quiz.restart": "🔄 Restart",
+    "quiz.question": "Question {index}/{total} — {task}",
+    "quiz.pickMeaning": "Pick the correct {gloss} meaning",
+    "quiz.pickWord": "Pick the correct English word",
+    "quiz.next": "Next question →",
+
+    "dictation.title": "Listen and spell",
+    "dictation.empty": "No saved words to practise dictation yet.",
+    "dictation.result": "Result: {correct}/{total} words correct — {points} points",
+    "dictation.hinted": " (hint)",
+    "dictation.progress": "Word {index}/{total}",
+    "dictation.points": "{points} points",
+    "dictation.replay": "🔊 Replay",
+    "dictation.replayTitle": "Play again",
+    "dictation.hint": "💡 Hint",
+    "dictation.hintTitle": "Show the IPA transcription (halves the points)",
+    "dictation.noIPATitle": "No transcription for this word",
+    "dictation.noIPA": "(no IPA)",
+    "dictation.placeholder": "Type the word you hear...",
+    "dictation.correct": "Correct! 🎉",
+    "dictation.wrong": "Not quite:",
+    "dictation.typed": "You typed \"{typed}\"",
+    "dictation.answer": "Answer:",
+    "dictation.next": "Next word →",
+    "dictation.check": "Check",
+
+    "entry.loading": "Loading entry...",
+    "entry.empty": "(no dictionary data)",
+    "entry.index": "entry {index}/{total}",
+    "entry.listen": "Play pronunciation",
+    "entry.speak": "Read with speech synthesis",
+    "entry.origin": "Origin: {origin}",
+    "entry.synonyms": "Synonyms",
+    "entry.antonyms": "Antonyms",
+    "entry.sources": "Sources:",
+
+    "forms.title": "Word forms",
+    "forms.ing": "V-ing",
+    "forms.past": "past (V2/V3)",
+    "forms.participle": "past participle",
+    "forms.third": "3rd person singular",
+    "forms.present": "present",
+    "forms.plural": "plural",
+    "forms.comparative": "comparative",
+    "forms.superlative": "superlative",
+    "forms.thirdShort": "3rd person",
+
+    "family.current": "Current word:",
+    "family.title": "Word family",
+    "family.sameRoot": "(same root)",
+    "family.none": "(No related words)",
+    "family.relatedByPOS": "Related words by part of speech:",
+    "family.related": "Related {pos}s",
+  },
+};
+
+let locale = DEFAULT_UI_LANG;
+
+export function setLocale(next) {
+  locale = MESSAGES[next] ? next : DEFAULT_UI_LANG;
+}
+
+export function getLocale() {
+  return locale;
+}
+
+// Lần đầu mở app: theo ngôn ngữ trình duyệt (tiếng Việt nếu là vi-*, còn lại tiếng Anh)
+export function detectLocale() {
+  const lang = (typeof navigator !== "undefined" && navigator.language) || DEFAULT_UI_LANG;
+  return lang.toLowerCase().startsWith("vi") ? "vi" : "en";
+}
+
+export function t(key, params = {}) {
+  const table = MESSAGES[locale];
+  const pick = (k) => table[k] ?? MESSAGES[DEFAULT_UI_LANG][k];
+  const template = (params.count === 1 && pick(`${key}_one`)) || pick(key) || key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+}
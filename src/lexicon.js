@@ -0,0 +1,142 @@
+/**
+ * Từ vựng cục bộ cho ô tìm kiếm: gợi ý khi gõ và sửa lỗi chính tả ("có phải bạn muốn tìm").
+ * - Nguồn: public/lexicon-en.txt (~7.600 từ có trong từ điển, sắp theo tần suất) + các từ người dùng đã học.
+ * - File được service worker cache sẵn nên vẫn dùng được khi offline.
+ */
+
+const LEXICON_URL = "/lexicon-en.txt";
+
+let lexiconPromise = null;
+
+// Tải một lần; lỗi thì cho phép thử lại ở lần gọi sau
+export function loadLexicon() {
+  if (!lexiconPromise) {
+    lexiconPromise = fetch(LEXICON_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(parseLexicon)
+      .catch(err => {
+        lexiconPromise = null;
+        throw err;
+      });
+  }
+  return lexiconPromise;
+}
+
+// Không bao giờ gợi ý các từ này dù file danh sách có chứa: tục tĩu, chủ đề spam, thương hiệu/tên riêng, token web
+const BLOCKED_WORDS = new Set([
+  "anal", "ass", "bitch", "bondage", "boob", "boobs", "cialis", "cock", "cum", "cunt", "dick", "erotic", "erotica",
+  "fetish", "fuck", "fucked", "fucking", "hentai", "horny", "incest", "masturbating", "masturbation", "milf", "naked",
+  "nude", "nudes", "nudity", "orgy", "phentermine", "piss", "pissing", "porn", "porno", "pussy", "rape", "sex", "sexy",
+  "shemale", "shit", "slut", "sluts", "threesome", "tits", "viagra", "voyeur", "whore", "xanax", "xxx",
+  "bingo", "casino", "casinos", "cheap", "cheapest", "escort", "escorts", "gambling", "mortgage", "mortgages",
+  "pharmacy", "poker", "ringtone", "ringtones",
+  "amazon", "ebay", "google", "john", "mike", "yahoo",
+  "asp", "com", "htm", "html", "http", "https", "pdf", "php", "url", "usr", "www", "xml",
+]);
+
+// Mỗi dòng một từ, dòng "#" là chú thích; thứ tự dòng chính là hạng tần suất
+export function parseLexicon(text) {
+  const words = [];
+  const seen = new Set();
+  for (const line of text.split("\n")) {
+    const w = line.trim().toLowerCase();
+    if (!w || w.startsWith("#") || !/^[a-z]+$/.test(w) || seen.has(w) || BLOCKED_WORDS.has(w)) continue;
+    if (w.length === 1 && w !== "a" && w !== "i") continue;
+    seen.add(w);
+    words.push(w);
+  }
+  return words;
+}
+
+/**
+ * Gợi ý theo tiền tố: từ đã học trước, sau đó theo tần suất.
+ * -> [{ word, studied }]
+ */
+export function suggestWords(prefix, { lexicon = [], studied = [], limit = 8 } = {}) {
+  const p = String(prefix || "").trim().toLowerCase();
+  if (!p) return [];
+  const out = [];
+  const added = new Set();
+  const push = (word, isStudied) => {
+    if (out.length >= limit || added.has(word) || !word.startsWith(p)) return;
+    added.add(word);
+    out.push({ word, studied: isStudied });
+  };
+  const rank = rankIndex(lexicon);
+  const studiedSorted = studied
+    .map(w => w.toLowerCase())
+    .filter(w => w.startsWith(p))
+    .sort((a, b) => (rank.get(a) ?? Infinity) - (rank.get(b) ?? Infinity) || a.localeCompare(b));
+  for (const w of studiedSorted) push(w, true);
+  for (const w of lexicon) {
+    if (out.length >= limit) break;
+    push(w, false);
+  }
+  return out;
+}
+
+// Khoảng cách Damerau-Levenshtein (có hoán vị 2 ký tự liền kề), dừng sớm khi vượt max
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur[j] = d;
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Từ gần đúng cho một từ gõ sai: ưu tiên khoảng cách nhỏ, rồi từ đã học, rồi tần suất.
+ * Từ ngắn chỉ cho sai 1 ký tự để tránh gợi ý vô nghĩa.
+ */
+export function didYouMean(term, { lexicon = [], studied = [], limit = 3 } = {}) {
+  const t = String(term || "").trim().toLowerCase();
+  if (t.length < 2) return [];
+  const max = t.length <= 4 ? 1 : 2;
+  const studiedSet = new Set(studied.map(w => w.toLowerCase()));
+  const rank = rankIndex(lexicon);
+  const scored = [];
+  for (const w of new Set([...studiedSet, ...lexicon])) {
+    if (w === t) continue;
+    const d = editDistance(t, w, max);
+    if (d <= max) scored.push({ word: w, distance: d, studied: studiedSet.has(w) });
+  }
+  return scored
+    .sort((x, y) => x.distance - y.distance
+      || Number(y.studied) - Number(x.studied)
+      || (rank.get(x.word) ?? Infinity) - (rank.get(y.word) ?? Infinity))
+    .slice(0, limit);
+}
+
+export function isKnownWord(term, { lexicon = [], studied = [] } = {}) {
+  const t = String(term || "").trim().toLowerCase();
+  return rankIndex(lexicon).has(t) || studied.some(w => w.toLowerCase() === t);
+}
+
+// Hạng tần suất theo từ; cache theo mảng lexicon để không dựng lại mỗi lần gõ
+const rankCache = new WeakMap();
+function rankIndex(lexicon) {
+  let index = rankCache.get(lexicon);
+  if (!index) {
+    index = new Map(lexicon.map((w, i) => [w, i]));
+    rankCache.set(lexicon, index);
+  }
+  return index;
+}
@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseLexicon, suggestWords } from "./lexicon.js";
+
+const lexicon = parseLexicon(readFileSync(new URL("../public/lexicon-en.txt", import.meta.url), "utf8"));
+
+const PROFANITY = ["porn", "porno", "xxx", "cunt", "fucking", "shit", "sex", "nude", "rape", "incest"];
+const SPAM = ["xanax", "viagra", "cialis", "casino", "poker", "mortgage", "escort", "pharmacy", "cheap", "ringtone", "ringtones"];
+const BRANDS = ["yahoo", "google", "ebay", "amazon", "john", "mike"];
+// Tên riêng không cần chặn: không có trong từ điển nên đã bị lọc khỏi file
+const PROPER_NAMES = ["david", "london", "microsoft", "sony", "texas"];
+const WEB_TOKENS = ["www", "html", "http", "usr", "php", "pdf", "asp", "url"];
+const BLOCKED = [...PROFANITY, ...SPAM, ...BRANDS, ...WEB_TOKENS];
+const UNWANTED = [...BLOCKED, ...PROPER_NAMES];
+
+test("parseLexicon bỏ từ tục tĩu, spam, thương hiệu và token web", () => {
+  const words = parseLexicon(["# chú thích", "the", ...BLOCKED, "Water", "e-mail", "x", "a", "the"].join("\n"));
+  assert.deepEqual(words, ["the", "water", "a"]);
+});
+
+test("lexicon-en.txt chỉ gồm từ trong từ điển", () => {
+  assert.ok(lexicon.length > 5000);
+  assert.deepEqual(UNWANTED.filter(w => lexicon.includes(w)), []);
+  assert.ok(["decide", "decision", "water", "january", "online", "good", "right"].every(w => lexicon.includes(w)));
+});
+
+test("suggestWords không gợi ý từ bị chặn", () => {
+  const suggested = ["ya", "goo", "ri", "po", "se", "jo", "ca", "mo", "es", "ph", "ww", "ht"]
+    .flatMap(prefix => suggestWords(prefix, { lexicon, limit: 20 }).map(s => s.word));
+  assert.deepEqual(suggested.filter(w => UNWANTED.includes(w)), []);
+  assert.deepEqual(suggestWords("goo", { lexicon }).map(s => s.word), ["good", "goods"]);
+  assert.deepEqual(suggestWords("por", { lexicon: parseLexicon("port\nporn\nporno\nportable") }).map(s => s.word), ["port", "portable"]);
+});
@@ -0,0 +1,462 @@
+/**
+ * Hình thái học tiếng Anh: chia động từ, số nhiều danh từ, so sánh tính từ và lemmatization.
+ * - conjugate("stop") -> { base, third, past, participle, ing }
+ * - pluralize("city") -> "cities", compare("happy") -> { comparative, superlative }
+ * - lemmatize("running") -> [{ lemma: "run", pos: "verb", form: "ing" }, ...] (sắp theo khả năng, gốc là từ có thật lên trước)
+ * - wordFamily("decide", candidates, { isWord }) -> decide/decision/decisive/decisively kèm từ loại
+ *
+ * Không có từ điển kèm theo nên lemmatize trả về nhiều ứng viên với dạng quy tắc;
+ * bên gọi kiểm tra lại bằng từ điển (xem resolveBaseForm trong App.jsx).
+ */
+
+// Động từ bất quy tắc: base -> [V2, V3] (dạng "a/b" = cả hai đều dùng)
+export const IRREGULAR_VERBS = {
+  arise: ["arose", "arisen"], awake: ["awoke", "awoken"], be: ["was/were", "been"], bear: ["bore", "borne"],
+  beat: ["beat", "beaten"], become: ["became", "become"], begin: ["began", "begun"], bend: ["bent", "bent"],
+  bet: ["bet", "bet"], bid: ["bid", "bid"], bind: ["bound", "bound"], bite: ["bit", "bitten"],
+  bleed: ["bled", "bled"], blow: ["blew", "blown"], break: ["broke", "broken"], breed: ["bred", "bred"],
+  bring: ["brought", "brought"], broadcast: ["broadcast", "broadcast"], build: ["built", "built"],
+  burn: ["burnt/burned", "burnt/burned"], burst: ["burst", "burst"], buy: ["bought", "bought"],
+  cast: ["cast", "cast"], catch: ["caught", "caught"], choose: ["chose", "chosen"], cling: ["clung", "clung"],
+  come: ["came", "come"], cost: ["cost", "cost"], creep: ["crept", "crept"], cut: ["cut", "cut"],
+  deal: ["dealt", "dealt"], dig: ["dug", "dug"], do: ["did", "done"], draw: ["drew", "drawn"],
+  dream: ["dreamt/dreamed", "dreamt/dreamed"], drink: ["drank", "drunk"], drive: ["drove", "driven"],
+  dwell: ["dwelt", "dwelt"], eat: ["ate", "eaten"], fall: ["fell", "fallen"], feed: ["fed", "fed"],
+  feel: ["felt", "felt"], fight: ["fought", "fought"], find: ["found", "found"], flee: ["fled", "fled"],
+  fling: ["flung", "flung"], fly: ["flew", "flown"], forbid: ["forbade", "forbidden"],
+  forecast: ["forecast", "forecast"], foresee: ["foresaw", "foreseen"], forget: ["forgot", "forgotten"],
+  forgive: ["forgave", "forgiven"], freeze: ["froze", "frozen"], get: ["got", "gotten/got"],
+  give: ["gave", "given"], go: ["went", "gone"], grind: ["ground", "ground"], grow: ["grew", "grown"],
+  hang: ["hung", "hung"], have: ["had", "had"], hear: ["heard", "heard"], hide: ["hid", "hidden"],
+  hit: ["hit", "hit"], hold: ["held", "held"], hurt: ["hurt", "hurt"], keep: ["kept", "kept"],
+  kneel: ["knelt", "knelt"], know: ["knew", "known"], lay: ["laid", "laid"], lead: ["led", "led"],
+  lean: ["leant/leaned", "leant/leaned"], leap: ["leapt/leaped", "leapt/leaped"], learn: ["learnt/learned", "learnt/learned"],
+  leave: ["left", "left"], lend: ["lent", "lent"], let: ["let", "let"], lie: ["lay", "lain"],
+  light: ["lit", "lit"], lose: ["lost", "lost"], make: ["made", "made"], mean: ["meant", "meant"],
+  meet: ["met", "met"], mislead: ["misled", "misled"], mistake: ["mistook", "mistaken"],
+  misunderstand: ["misunderstood", "misunderstood"], overcome: ["overcame", "overcome"],
+  overtake: ["overtook", "overtaken"], overthrow: ["overthrew", "overthrown"], pay: ["paid", "paid"],
+  prove: ["proved", "proven/proved"], put: ["put", "put"], quit: ["quit", "quit"], read: ["read", "read"],
+  rebuild: ["rebuilt", "rebuilt"], rid: ["rid", "rid"], ride: ["rode", "ridden"], ring: ["rang", "rung"],
+  rise: ["rose", "risen"], run: ["ran", "run"], say: ["said", "said"], see: ["saw", "seen"],
+  seek: ["sought", "sought"], sell: ["sold", "sold"], send: ["sent", "sent"], set: ["set", "set"],
+  sew: ["sewed", "sewn"], shake: ["shook", "shaken"], shed: ["shed", "shed"], shine: ["shone", "shone"],
+  shoot: ["shot", "shot"], show: ["showed", "shown"], shrink: ["shrank", "shrunk"], shut: ["shut", "shut"],
+  sing: ["sang", "sung"], sink: ["sank", "sunk"], sit: ["sat", "sat"], sleep: ["slept", "slept"],
+  slide: ["slid", "slid"], sling: ["slung", "slung"], slit: ["slit", "slit"], smell: ["smelt/smelled", "smelt/smelled"],
+  sow: ["sowed", "sown"], speak: ["spoke", "spoken"], speed: ["sped", "sped"], spell: ["spelt/spelled", "spelt/spelled"],
+  spend: ["spent", "spent"], spill: ["spilt/spilled", "spilt/spilled"], spin: ["spun", "spun"],
+  spit: ["spat", "spat"], split: ["split", "split"], spoil: ["spoilt/spoiled", "spoilt/spoiled"],
+  spread: ["spread", "spread"], spring: ["sprang", "sprung"], stand: ["stood", "stood"],
+  steal: ["stole", "stolen"], stick: ["stuck", "stuck"], sting: ["stung", "stung"], stink: ["stank", "stunk"],
+  stride: ["strode", "stridden"], strike: ["struck", "struck"], string: ["strung", "strung"],
+  strive: ["strove", "striven"], swear: ["swore", "sworn"], sweep: ["swept", "swept"],
+  swell: ["swelled", "swollen"], swim: ["swam", "swum"], swing: ["swung", "swung"], take: ["took", "taken"],
+  teach: ["taught", "taught"], tear: ["tore", "torn"], tell: ["told", "told"], think: ["thought", "thought"],
+  throw: ["threw", "thrown"], thrust: ["thrust", "thrust"], tread: ["trod", "trodden"],
+  undergo: ["underwent", "undergone"], understand: ["understood", "understood"], undertake: ["undertook", "undertaken"],
+  upset: ["upset", "upset"], wake: ["woke", "woken"], wear: ["wore", "worn"], weave: ["wove", "woven"],
+  weep: ["wept", "wept"], wet: ["wet", "wet"], win: ["won", "won"], wind: ["wound", "wound"],
+  withdraw: ["withdrew", "withdrawn"], withhold: ["withheld", "withheld"], withstand: ["withstood", "withstood"],
+  wring: ["wrung", "wrung"], write: ["wrote", "written"],
+};
+
+// Ngôi thứ ba số ít không theo quy tắc
+const IRREGULAR_THIRD = { be: "is", have: "has", do: "does", go: "goes" };
+
+// Động từ nhiều âm tiết có trọng âm ở âm cuối -> gấp đôi phụ âm (prefer -> preferred)
+const STRESS_FINAL_VERBS = new Set([
+  "admit", "begin", "commit", "compel", "confer", "control", "defer", "deter", "emit", "equip", "excel",
+  "expel", "forbid", "forget", "incur", "infer", "occur", "omit", "patrol", "permit", "prefer", "propel",
+  "rebel", "recur", "refer", "regret", "repel", "submit", "transfer", "transmit", "upset",
+]);
+
+export const IRREGULAR_PLURALS = {
+  man: "men", woman: "women", child: "children", person: "people", foot: "feet", tooth: "teeth",
+  goose: "geese", mouse: "mice", louse: "lice", ox: "oxen", die: "dice", criterion: "criteria",
+  phenomenon: "phenomena", analysis: "analyses", crisis: "crises", thesis: "theses", hypothesis: "hypotheses",
+  basis: "bases", diagnosis: "diagnoses", medium: "media", datum: "data", curriculum: "curricula",
+  cactus: "cacti", fungus: "fungi", nucleus: "nuclei", stimulus: "stimuli", syllabus: "syllabi",
+  appendix: "appendices", index: "indices", matrix: "matrices", knife: "knives", wife: "wives",
+  life: "lives", leaf: "leaves", half: "halves", wolf: "wolves", shelf: "shelves", thief: "thieves",
+  loaf: "loaves", calf: "calves", self: "selves", elf: "elves", potato: "potatoes", tomato: "tomatoes",
+  hero: "heroes", echo: "echoes", veto: "vetoes",
+};
+
+// Danh từ không đếm được / số nhiều giống số ít
+const UNCOUNTABLE = new Set([
+  "information", "equipment", "advice", "furniture", "news", "luggage", "baggage", "software", "research",
+  "knowledge", "evidence", "feedback", "homework", "money", "music", "rice", "water", "sheep", "fish",
+  "deer", "species", "series", "aircraft", "staff", "traffic", "weather", "progress", "health",
+]);
+
+export const IRREGULAR_ADJECTIVES = {
+  good: ["better", "best"], well: ["better", "best"], bad: ["worse", "worst"], ill: ["worse", "worst"],
+  far: ["farther/further", "farthest/furthest"], little: ["less", "least"], many: ["more", "most"],
+  much: ["more", "most"], old: ["older/elder", "oldest/eldest"],
+};
+
+const VOWELS = "aeiou";
+const isVowel = (ch) => VOWELS.includes(ch);
+
+// Số cụm nguyên âm (ước lượng số âm tiết, bỏ "e" câm cuối từ)
+function syllableCount(word) {
+  const w = word.replace(/e$/, "");
+  return Math.max(1, (w.match(/[aeiouy]+/g) || []).length);
+}
+
+// Kết thúc phụ âm-nguyên âm-phụ âm (trừ w, x, y): stop, plan, admit
+function endsCVC(word) {
+  if (word.length < 3) return false;
+  const [a, b, c] = word.slice(-3);
+  return !isVowel(a) && isVowel(b) && !isVowel(c) && !"wxy".includes(c) && !(a === "q" && b === "u");
+}
+
+function shouldDouble(verb) {
+  // "qu" tính như phụ âm: quit -> quitting, equip -> equipped
+  const w = verb.replace(/qu/g, "q");
+  if (!endsCVC(w)) return false;
+  return syllableCount(w) === 1 || STRESS_FINAL_VERBS.has(verb);
+}
+
+function regularPast(verb) {
+  if (verb.endsWith("e")) return verb + "d";
+  if (/[^aeiou]y$/.test(verb)) return verb.slice(0, -1) + "ied";
+  if (/[aeiou]c$/.test(verb) && syllableCount(verb) > 1) return verb + "ked"; // panic -> panicked
+  if (shouldDouble(verb)) return verb + verb.slice(-1) + "ed";
+  return verb + "ed";
+}
+
+function ingForm(verb) {
+  if (verb === "be") return "being";
+  if (verb.endsWith("ie")) return verb.slice(0, -2) + "ying";
+  if (/[^aeiouy]e$/.test(verb) || /ue$/.test(verb)) return verb.slice(0, -1) + "ing"; // make -> making, argue -> arguing
+  if (/[aeiou]c$/.test(verb) && syllableCount(verb) > 1) return verb + "king";
+  if (shouldDouble(verb)) return verb + verb.slice(-1) + "ing";
+  return verb + "ing";
+}
+
+// Từ 1 âm tiết tận cùng nguyên âm đơn + z gấp đôi z: quiz -> quizzes, fez -> fezzes
+function doublesZ(word) {
+  const w = word.replace(/qu/g, "q");
+  return w.endsWith("z") && endsCVC(w) && syllableCount(w) === 1;
+}
+
+function addS(word) {
+  if (doublesZ(word)) return word + "zes";
+  if (/(s|x|z|ch|sh)$/.test(word)) return word + "es";
+  if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + "ies";
+  if (/[^aeiou]o$/.test(word)) return word + "es";
+  return word + "s";
+}
+
+export function conjugate(base) {
+  const verb = String(base || "").toLowerCase().trim();
+  if (!verb) return null;
+  const irregular = IRREGULAR_VERBS[verb];
+  return {
+    base: verb,
+    third: IRREGULAR_THIRD[verb] || addS(verb),
+    past: irregular ? irregular[0] : regularPast(verb),
+    participle: irregular ? irregular[1] : regularPast(verb),
+    ing: ingForm(verb),
+  };
+}
+
+export function pluralize(noun) {
+  const w = String(noun || "").toLowerCase().trim();
+  if (!w) return "";
+  if (UNCOUNTABLE.has(w)) return w;
+  if (IRREGULAR_PLURALS[w]) return IRREGULAR_PLURALS[w];
+  if (doublesZ(w)) return w + "zes";
+  if (/(s|x|z|ch|sh)$/.test(w)) return w + "es";
+  if (/[^aeiou]y$/.test(w)) return w.slice(0, -1) + "ies";
+  return w + "s";
+}
+
+export function compare(adjective) {
+  const w = String(adjective || "").toLowerCase().trim();
+  if (!w) return null;
+  if (IRREGULAR_ADJECTIVES[w]) {
+    const [comparative, superlative] = IRREGULAR_ADJECTIVES[w];
+    return { comparative, superlative };
+  }
+  const syllables = syllableCount(w);
+  // Tính từ 1 âm tiết, hoặc 2 âm tiết tận cùng -y/-ow/-le/-er: thêm -er/-est; còn lại dùng more/most
+  if (syllables === 1 || (syllables === 2 && /(y|ow|le|er)$/.test(w))) {
+    let stem = w;
+    if (w.endsWith("e")) stem = w.slice(0, -1);
+    else if (/[^aeiou]y$/.test(w)) stem = w.slice(0, -1) + "i";
+    else if (syllables === 1 && endsCVC(w)) stem = w + w.slice(-1);
+    return { comparative: stem + "er", superlative: stem + "est" };
+  }
+  return { comparative: `more ${w}`, superlative: `most ${w}` };
+}
+
+// Bảng tra ngược: dạng bất quy tắc -> gốc
+const IRREGULAR_VERB_INDEX = (() => {
+  const index = {};
+  for (const [base, [past, participle]] of Object.entries(IRREGULAR_VERBS)) {
+    for (const f of past.split("/")) (index[f] ||= []).push({ lemma: base, pos: "verb", form: "past" });
+    for (const f of participle.split("/")) (index[f] ||= []).push({ lemma: base, pos: "verb", form: "participle" });
+  }
+  for (const [base, third] of Object.entries(IRREGULAR_THIRD)) (index[third] ||= []).push({ lemma: base, pos: "verb", form: "third" });
+  index.am = index.is = index.are = [{ lemma: "be", pos: "verb", form: "present" }];
+  return index;
+})();
+const IRREGULAR_PLURAL_INDEX = Object.fromEntries(Object.entries(IRREGULAR_PLURALS).map(([s, p]) => [p, s]));
+const IRREGULAR_ADJ_INDEX = (() => {
+  const index = {};
+  for (const [base, [comparative, superlative]] of Object.entries(IRREGULAR_ADJECTIVES)) {
+    if (base === "well" || base === "ill" || base === "much") continue; // ưu tiên good/bad/many
+    for (const f of comparative.split("/")) index[f] = { lemma: base, pos: "adjective", form: "comparative" };
+    for (const f of superlative.split("/")) index[f] = { lemma: base, pos: "adjective", form: "superlative" };
+  }
+  return index;
+})();
+
+/**
+ * Các gốc khả dĩ khi bỏ đuôi (-ing, -ed, -er, -est): xử lý gấp đôi phụ âm, e câm và y -> i.
+ * Thứ tự ứng viên theo mức độ phổ biến của từng trường hợp; ing = đuôi vừa bỏ là -ing.
+ */
+function stemCandidates(stem, { ing = false } = {}) {
+  const out = [];
+  const last = stem.slice(-1), prev = stem.slice(-2, -1);
+  if (last === prev && !isVowel(last) && !"lsfz".includes(last)) {
+    // running -> run; gốc bỏ gấp đôi quá ngắn thì gấp đôi là của chính gốc: adding -> add (không phải "ad")
+    return stem.length > 3 ? [stem.slice(0, -1), stem] : [stem, stem.slice(0, -1)];
+  }
+  if (stem.endsWith("ck") && syllableCount(stem) > 1) out.push(stem.slice(0, -1)); // panicked -> panic
+  if (/[^aeiou]i$/.test(stem)) out.push(stem.slice(0, -1) + "y"); // studied -> study, happiest -> happy
+  if (ing && stem.endsWith("y") && stem.length > 1) out.push(stem.slice(0, -1) + "ie"); // lying -> lie (played -> play, không phải "plaie")
+  if (!ing && stem.endsWith("e")) out.push(stem + "e"); // agreed -> agree, freed -> free
+  // giving, producing, changing, arguing, negotiating, hoping, deciding -> thường có "e" câm
+  const needsE = /([vczu]|[^n]g|[^aeiou][aeiou]d)$/.test(stem)
+    || (stem.endsWith("at") && syllableCount(stem) > 1)
+    || (endsCVC(stem) && syllableCount(stem) === 1);
+  if (needsE) out.push(stem + "e", stem);
+  else out.push(stem, stem + "e");
+  return [...new Set(out)].filter(w => w.length >= 2);
+}
+
+/**
+ * Các gốc khả dĩ của một dạng biến đổi. Không có từ điển kèm theo nên gốc có thể không phải từ thật;
+ * isWord(lemma) (vd tra lexicon) đưa các gốc có thật lên đầu, giữ nguyên thứ tự giữa các gốc cùng loại.
+ */
+export function lemmatize(word, { isWord } = {}) {
+  const w = String(word || "").toLowerCase().trim();
+  if (!/^[a-z]+$/.test(w)) return [];
+  const results = [];
+  const push = (lemma, pos, form) => {
+    if (lemma !== w && !results.some(r => r.lemma === lemma && r.pos === pos)) results.push({ lemma, pos, form });
+  };
+
+  for (const r of IRREGULAR_VERB_INDEX[w] || []) push(r.lemma, r.pos, r.form);
+  if (IRREGULAR_PLURAL_INDEX[w]) push(IRREGULAR_PLURAL_INDEX[w], "noun", "plural");
+  if (IRREGULAR_ADJ_INDEX[w]) push(IRREGULAR_ADJ_INDEX[w].lemma, "adjective", IRREGULAR_ADJ_INDEX[w].form);
+
+  if (w.endsWith("ing") && w.length > 4) {
+    for (const c of stemCandidates(w.slice(0, -3), { ing: true })) push(c, "verb", "ing");
+  }
+  if (w.endsWith("ed") && w.length > 3) {
+    const form = "past";
+    if (w.endsWith("ied")) push(w.slice(0, -3) + "y", "verb", form);
+    for (const c of stemCandidates(w.slice(0, -2))) push(c, "verb", form);
+  }
+  if (w.endsWith("est") && w.length > 4) {
+    for (const c of stemCandidates(w.slice(0, -3))) push(c, "adjective", "superlative");
+  }
+  if (w.endsWith("er") && w.length > 3) {
+    for (const c of stemCandidates(w.slice(0, -2))) push(c, "adjective", "comparative");
+  }
+  if (w.endsWith("s") && !/(ss|us|is)$/.test(w) && !UNCOUNTABLE.has(w) && w.length > 3) {
+    const forms = [];
+    if (w.endsWith("ies")) forms.push(w.slice(0, -3) + "y");
+    if (w.endsWith("ves")) forms.push(w.slice(0, -3) + "f", w.slice(0, -3) + "fe");
+    if (/[^z]zzes$/.test(w)) forms.push(w.slice(0, -3)); // quizzes -> quiz
+    if (/(ses|xes|zes|ches|shes|oes)$/.test(w)) forms.push(w.slice(0, -2));
+    forms.push(w.slice(0, -1));
+    for (const f of forms) {
+      push(f, "noun", "plural");
+      push(f, "verb", "third");
+    }
+  }
+  if (!isWord) return results;
+  const known = results.filter(r => isWord(r.lemma));
+  return [...known, ...results.filter(r => !known.includes(r))];
+}
+
+// ---------------- Từ phái sinh (họ từ) ----------------
+
+// Hậu tố phái sinh: [hậu tố, từ loại của từ mới, các đuôi có thể khôi phục cho gốc]
+// decision -> deci + "de" = decide, happiness -> happi (~ happy), arrival -> arriv + "e" = arrive
+const DERIVATION_SUFFIXES = [
+  ["ification", "noun", ["ify"]],
+  ["ility", "noun", ["le"]],
+  ["ization", "noun", ["ize"]],
+  ["isation", "noun", ["ise"]],
+  ["ation", "noun", ["ate", "e", ""]],
+  ["ition", "noun", ["ite", "e", ""]],
+  ["ution", "noun", ["ute", "ve"]],
+  ["tion", "noun", ["te", "t", "e"]], // không khôi phục "": mention -> men
+  ["sion", "noun", ["de", "d", "se", "t", "s"]], // tension -> ten
+  ["ion", "noun", ["", "e"]],
+  ["ness", "noun", [""]],
+  ["ment", "noun", [""]],
+  ["ship", "noun", [""]],
+  ["hood", "noun", [""]],
+  ["dom", "noun", ["", "e"]],
+  ["ance", "noun", ["", "e"]],
+  ["ence", "noun", ["", "e"]],
+  ["ancy", "noun", ["ant"]],
+  ["ency", "noun", ["ent"]],
+  ["ity", "noun", ["", "e"]],
+  ["ism", "noun", ["", "e"]],
+  ["ist", "noun", ["", "e", "y"]],
+  ["ure", "noun", ["", "e"]],
+  ["age", "noun", [""]],
+  ["ee", "noun", ["", "e"]],
+  ["er", "noun", ["", "e"]],
+  ["or", "noun", ["", "e"]],
+  ["ar", "noun", ["", "e"]],
+  ["ally", "adverb", ["", "al"]],
+  ["ly", "adverb", ["", "le"]],
+  ["wise", "adverb", [""]],
+  ["ward", "adverb", [""]],
+  ["ical", "adjective", ["ic", "y"]],
+  ["ative", "adjective", ["", "e", "ate"]],
+  ["sive", "adjective", ["de", "d", "se", "t", "s"]],
+  ["ive", "adjective", ["", "e"]],
+  ["able", "adjective", ["", "e"]],
+  ["ible", "adjective", ["", "e"]],
+  ["ful", "adjective", [""]],
+  ["less", "adjective", [""]],
+  ["ous", "adjective", ["", "e", "y"]],
+  ["ant", "adjective", ["", "e"]],
+  ["ent", "adjective", ["", "e"]],
+  ["ish", "adjective", ["", "e"]],
+  ["ary", "adjective", ["", "e"]],
+  ["ory", "adjective", ["", "e"]],
+  ["ic", "adjective", ["", "y"]],
+  ["al", "adjective", ["", "e"]],
+  ["y", "adjective", ["", "e"]],
+  ["ize", "verb", ["", "e", "y"]],
+  ["ise", "verb", ["", "e", "y"]],
+  ["ify", "verb", ["", "e", "y"]],
+  ["ate", "verb", ["", "e"]],
+  ["en", "verb", ["", "e"]],
+].sort((a, b) => b[0].length - a[0].length);
+
+// Từ trông như phái sinh từ một từ ngắn hơn nhưng khác nghĩa -> không nối qua gốc đó (dạng "a/b" = nhiều gốc)
+// organize/organic không cùng họ với organ, manage không cùng họ với man
+const FALSE_BASES = {
+  organic: "organ", organism: "organ", organize: "organ", organise: "organ",
+  manage: "man", manner: "man", business: "busy", station: "state", every: "ever", theory: "the",
+  forward: "for", party: "part", carry: "car", career: "care", center: "cent", centre: "cent",
+  county: "count", counter: "count/county", customer: "custom", important: "import", factor: "fact",
+  finance: "fine", finish: "fine", agent: "age", agency: "age", letter: "let", listen: "list",
+  moment: "mom", flower: "flow", ready: "read", million: "mill", billion: "bill", summer: "sum",
+  secretary: "secret", warranty: "war", portal: "port", portable: "port", portion: "port",
+  mission: "miss/mist", ration: "rat",
+};
+
+const DERIVATION_PREFIXES = [
+  "under", "inter", "over", "anti", "counter", "dis", "mis", "non", "pre", "un", "in", "im", "il", "ir", "re", "en",
+];
+
+const MIN_STEM = 3;
+// Hậu tố 1-2 chữ (-y, -al, -er, -en...) chỉ bỏ khi phần còn lại đủ dài, tránh army -> arm, moral -> more
+const MIN_SHORT_SUFFIX_STEM = 4;
+// Tiền tố chỉ bỏ khi phần còn lại đủ dài, tránh report -> port, include -> clude
+const MIN_PREFIXED_STEM = 5;
+
+/**
+ * Tập các gốc của một từ khi lột dần hậu tố/tiền tố phái sinh, gồm cả chính từ đó.
+ * decisively -> decisive -> decide: các từ cùng họ có chung ít nhất một gốc.
+ * Chỉ đi tiếp qua gốc là từ có thật theo isWord, để các mảnh như "happ" (happy ~ happen) không nối hai từ khác họ.
+ */
+function derivationRoots(word, isWord, depth = 3, out = new Set(), visited = new Set()) {
+  const w = String(word || "").toLowerCase().trim();
+  if (w.length < MIN_STEM || visited.has(w)) return out;
+  visited.add(w);
+  out.add(w);
+  if (depth === 0) return out;
+  const falseBases = FALSE_BASES[w]?.split("/") || [];
+  const follow = (base) => {
+    if (base !== w && isWord(base) && !falseBases.includes(base)) derivationRoots(base, isWord, depth - 1, out, visited);
+  };
+
+  for (const [suffix, , restores] of DERIVATION_SUFFIXES) {
+    if (!w.endsWith(suffix)) continue;
+    const stem = w.slice(0, -suffix.length);
+    if (stem.length < (suffix.length <= 2 ? MIN_SHORT_SUFFIX_STEM : 2)) continue; // ability -> ab + le
+    const bases = restores.map(r => stem + r);
+    const last = stem.slice(-1);
+    if (last === stem.slice(-2, -1) && !isVowel(last)) bases.push(stem.slice(0, -1)); // beginner -> begin
+    if (stem.endsWith("i")) bases.push(stem.slice(0, -1) + "y"); // happiness -> happy
+    for (const b of new Set(bases)) follow(b);
+  }
+  for (const prefix of DERIVATION_PREFIXES) {
+    if (w.startsWith(prefix) && w.length - prefix.length >= MIN_PREFIXED_STEM) follow(w.slice(prefix.length));
+  }
+  return out;
+}
+
+// Từ loại đoán theo hậu tố phái sinh dài nhất (null nếu không có hậu tố quen thuộc)
+export function derivationalPOS(word) {
+  const w = String(word || "").toLowerCase();
+  const rule = DERIVATION_SUFFIXES.find(([suffix]) => w.endsWith(suffix) && w.length - suffix.length >= MIN_STEM);
+  return rule ? rule[1] : null;
+}
+
+// isWord(w): w có phải từ có thật (lexicon, danh sách ứng viên...); thiếu thì chỉ so hai từ với nhau
+export function sameFamily(a, b, { isWord = () => false } = {}) {
+  const rootsA = derivationRoots(a, isWord);
+  for (const r of derivationRoots(b, isWord)) if (rootsA.has(r)) return true;
+  return false;
+}
+
+const TAG_POS = { n: "noun", v: "verb", adj: "adjective", adv: "adverb" };
+
+/**
+ * Lọc danh sách từ ứng viên ({ word, tags } kiểu Datamuse) thành họ từ của base,
+ * bỏ các dạng biến đổi (decided, decisions) và gắn từ loại cho từng thành viên.
+ * Gốc trung gian phải là một ứng viên hoặc isWord(w) (vd lexicon).
+ * -> [{ word, pos }] luôn gồm chính base (pos = null nếu không đoán được).
+ */
+export function wordFamily(base, candidates = [], { isWord = () => false } = {}) {
+  const b = String(base || "").toLowerCase().trim();
+  const words = new Map();
+  for (const c of candidates) {
+    const w = String(c?.word || "").toLowerCase().trim();
+    if (/^[a-z]+$/.test(w) && !words.has(w)) words.set(w, (c.tags || []).filter(t => TAG_POS[t]));
+  }
+  if (!words.has(b)) words.set(b, []);
+  const known = (w) => words.has(w) || isWord(w);
+
+  const isInflection = (w, tags) => lemmatize(w).some(({ lemma, form }) => {
+    if (lemma !== b && !words.has(lemma)) return false;
+    if (form === "plural" || form === "third") return true;
+    if (form === "comparative" || form === "superlative") return !tags.includes("n");
+    return !tags.length || tags.includes("v"); // ing/past: "building" (danh từ) vẫn giữ
+  });
+
+  const family = [];
+  for (const [w, tags] of words) {
+    if (w !== b && (!sameFamily(b, w, { isWord: known }) || isInflection(w, tags))) continue;
+    const guess = derivationalPOS(w);
+    const tagged = tags.map(t => TAG_POS[t]);
+    const pos = tagged.includes(guess) ? guess : tagged[0] || guess;
+    if (pos || w === b) family.push({ word: w, pos });
+  }
+  const order = ["verb", "noun", "adjective", "adverb"];
+  return family.sort((x, y) => order.indexOf(x.pos) - order.indexOf(y.pos) || x.word.length - y.word.length);
+}
+
+// Mẫu tìm kiếm theo chính tả để lấy ứng viên họ từ: gốc có thật ngắn nhất, bỏ "e"/"y" cuối (decision -> decide -> "decid*")
+export function familySearchPattern(word, { isWord = () => false } = {}) {
+  const roots = [...derivationRoots(word, isWord)].sort((a, b) => a.length - b.length);
+  const shortest = roots[0] || String(word || "").toLowerCase().trim();
+  const stem = shortest.length > MIN_STEM + 1 ? shortest.replace(/[ey]$/, "") : shortest;
+  return `${stem}*`;
+}
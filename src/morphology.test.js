@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { conjugate, pluralize, lemmatize, sameFamily, wordFamily, familySearchPattern } from "./morphology.js";
+
+const lemmas = (word, options) => lemmatize(word, options).map(c => c.lemma);
+
+test("lemmatize đưa gốc đúng lên đầu", () => {
+  assert.equal(lemmas("played")[0], "play");
+  assert.equal(lemmas("decided")[0], "decide");
+  assert.equal(lemmas("agreed")[0], "agree");
+  assert.equal(lemmas("added")[0], "add");
+  assert.equal(lemmas("running")[0], "run");
+  assert.equal(lemmas("lying")[0], "lie");
+  assert.equal(lemmas("studied")[0], "study");
+  assert.ok(!lemmas("played").includes("plaie"));
+});
+
+test("pluralize và ngôi thứ ba gấp đôi z sau nguyên âm đơn", () => {
+  assert.equal(pluralize("quiz"), "quizzes");
+  assert.equal(pluralize("fez"), "fezzes");
+  assert.equal(pluralize("buzz"), "buzzes");
+  assert.equal(pluralize("waltz"), "waltzes");
+  assert.equal(pluralize("box"), "boxes");
+  assert.equal(conjugate("quiz").third, "quizzes");
+  assert.equal(lemmas("quizzes")[0], "quiz");
+});
+
+test("lemmatize không lột đuôi của danh từ không đếm được", () => {
+  assert.deepEqual(lemmas("species"), []);
+  assert.deepEqual(lemmas("news"), []);
+});
+
+test("lemmatize ưu tiên gốc là từ có thật theo isWord", () => {
+  const known = new Set(["nod", "need"]);
+  assert.equal(lemmas("nodded", { isWord: w => known.has(w) })[0], "nod");
+  assert.equal(lemmas("needed", { isWord: w => known.has(w) })[0], "need");
+  assert.equal(lemmas("hoping")[0], "hope");
+  assert.equal(lemmas("hoping", { isWord: w => w === "hop" })[0], "hop");
+});
+
+// Từ có thật cho các phép thử họ từ (thay cho lexicon)
+const WORDS = new Set([
+  "happy", "happen", "car", "care", "arm", "army", "moral", "more", "decide", "decisive", "hope", "out",
+  "organ", "organic", "organize",
+]);
+const isWord = (w) => WORDS.has(w);
+
+test("sameFamily không nối các từ chỉ giống nhau về chính tả", () => {
+  for (const [a, b] of [["happy", "happen"], ["car", "care"], ["arm", "army"], ["moral", "more"]]) {
+    assert.equal(sameFamily(a, b, { isWord }), false, `${a} ~ ${b}`);
+  }
+});
+
+test("sameFamily nối các từ qua gốc có thật", () => {
+  assert.ok(sameFamily("decide", "decision", { isWord }));
+  assert.ok(sameFamily("decision", "decisively", { isWord }));
+  assert.ok(sameFamily("happy", "happiness", { isWord }));
+  assert.ok(sameFamily("hope", "hopeful", { isWord }));
+  // Gốc "decid" không phải từ có thật -> không có lexicon thì không nối được
+  assert.equal(sameFamily("decide", "decision"), false);
+});
+
+test("wordFamily luôn gồm chính base và bỏ dạng biến đổi", () => {
+  assert.deepEqual(wordFamily("cat", [{ word: "cats" }]), [{ word: "cat", pos: null }]);
+  const family = wordFamily("decide", [
+    { word: "decide", tags: ["v"] },
+    { word: "decision", tags: ["n"] },
+    { word: "decided", tags: ["v", "adj"] },
+    { word: "decisions", tags: ["n"] },
+    { word: "deciduous", tags: ["adj"] },
+    { word: "happen", tags: ["v"] },
+  ], { isWord });
+  assert.deepEqual(family.map(f => f.word), ["decide", "decision"]);
+});
+
+test("wordFamily gồm đủ họ từ kèm từ loại", () => {
+  const family = wordFamily("decide", [
+    { word: "decide", tags: ["v"] },
+    { word: "decisively", tags: ["adv"] },
+    { word: "decision", tags: ["n"] },
+    { word: "decided", tags: ["v", "adj"] },
+    { word: "decisive", tags: ["adj"] },
+    { word: "decides", tags: ["v"] },
+    { word: "deciduous", tags: ["adj"] },
+  ], { isWord });
+  assert.deepEqual(family, [
+    { word: "decide", pos: "verb" },
+    { word: "decision", pos: "noun" },
+    { word: "decisive", pos: "adjective" },
+    { word: "decisively", pos: "adverb" },
+  ]);
+});
+
+test("wordFamily không kéo từ chỉ giống chính tả qua gốc ngắn hơn", () => {
+  const family = wordFamily("organize", [
+    { word: "organ", tags: ["n"] },
+    { word: "organic", tags: ["adj"] },
+    { word: "organism", tags: ["n"] },
+    { word: "organization", tags: ["n"] },
+    { word: "organizer", tags: ["n"] },
+    { word: "reorganize", tags: ["v"] },
+  ], { isWord });
+  assert.deepEqual(family.map(f => f.word).sort(), ["organization", "organize", "organizer", "reorganize"]);
+  assert.equal(sameFamily("mention", "men", { isWord: () => true }), false);
+  assert.equal(sameFamily("manage", "man", { isWord: () => true }), false);
+  assert.ok(sameFamily("act", "action", { isWord: () => true }));
+});
+
+test("familySearchPattern dùng gốc có thật ngắn nhất", () => {
+  assert.equal(familySearchPattern("decision", { isWord }), "decid*");
+  assert.equal(familySearchPattern("happiness", { isWord }), "happ*");
+  assert.equal(familySearchPattern("cat", { isWord }), "cat*");
+});
@@ -0,0 +1,175 @@
+/**
+ * Lớp gọi mạng dùng chung cho các provider (nguồn từ, từ điển, dịch).
+ * - Mỗi request có timeout; lỗi tạm thời (mất kết nối, timeout, 5xx, 429 chờ ngắn) được thử lại với backoff luỹ thừa.
+ * - Giới hạn số request chạy cùng lúc để hàng đợi nền và tải gói offline không dội API.
+ * - 429 / hết hạn mức: provider bị tạm ngừng một thời gian, các lần gọi trong lúc đó báo lỗi ngay không tốn request.
+ * - Ghi lại provider nào đang lỗi và vì sao (subscribeProviderStatus) để giao diện báo cho người dùng.
+ */
+import { t } from "./i18n.js";
+
+const MAX_CONCURRENT = 4;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+const QUOTA_COOLDOWN_MS = 60 * 60 * 1000;
+
+/**
+ * kind: "timeout" | "network" | "http" | "rateLimit" | "quota" | "invalid"
+ * message đã gồm tên provider để hiện thẳng cho người dùng.
+ */
+export class RequestError extends Error {
+  constructor(kind, { provider = "", status = 0, retryAfter = 0 } = {}) {
+    const reason = t(`network.${kind}`, { status });
+    super(provider ? `${provider}: ${reason}` : reason);
+    this.name = "RequestError";
+    this.kind = kind;
+    this.provider = provider;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// ---------------- Giới hạn đồng thời ----------------
+let active = 0;
+const waiting = [];
+
+function acquire() {
+  if (active < MAX_CONCURRENT) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+// Chuyển suất chạy cho request đang chờ thay vì giảm bộ đếm
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+// ---------------- Trạng thái provider ----------------
+// { [provider]: { kind, status, at, until } }; until > 0 = đang tạm ngừng gọi tới mốc đó
+let providerStatus = {};
+const listeners = new Set();
+
+export function getProviderStatus() {
+  return providerStatus;
+}
+
+export function subscribeProviderStatus(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function setProviderStatus(provider, entry) {
+  if (!provider || (!entry && !providerStatus[provider])) return;
+  const next = { ...providerStatus };
+  if (entry) next[provider] = entry;
+  else delete next[provider];
+  providerStatus = next;
+  for (const fn of listeners) fn(providerStatus);
+}
+
+function recordFailure(provider, err) {
+  // Mất mạng không phải lỗi của provider, header đã có nhãn offline
+  if (!(err instanceof RequestError) || isOffline()) return;
+  const now = Date.now();
+  const cooldown = err.kind === "quota" ? QUOTA_COOLDOWN_MS
+    : err.kind === "rateLimit" ? err.retryAfter || RATE_LIMIT_COOLDOWN_MS
+    : 0;
+  setProviderStatus(provider, { kind: err.kind, status: err.status, at: now, until: cooldown ? now + cooldown : 0 });
+}
+
+// ---------------- Request ----------------
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Backoff luỹ thừa có jitter để các request lỗi cùng lúc không thử lại cùng lúc
+function backoffDelay(attempt) {
+  const ms = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return ms / 2 + Math.random() * (ms / 2);
+}
+
+// Retry-After là số giây hoặc một mốc thời gian HTTP
+function retryAfterMs(res) {
+  const value = res.headers.get("Retry-After");
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : 0;
+}
+
+function isRetryable(err) {
+  if (!(err instanceof RequestError)) return false;
+  if (err.kind === "timeout" || err.kind === "network") return true;
+  if (err.kind === "http") return err.status >= 500 || err.status === 408;
+  return err.kind === "rateLimit" && err.retryAfter <= BACKOFF_MAX_MS;
+}
+
+async function requestOnce(url, { provider, init, timeout, validate }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    let res;
+    try {
+      res = await fetch(url, { ...init, signal: controller.signal });
+    } catch {
+      throw new RequestError(controller.signal.aborted ? "timeout" : "network", { provider });
+    }
+    // 404 = không có dữ liệu cho truy vấn này (vd từ điển không có từ), không phải lỗi provider
+    if (res.status === 404) return null;
+    if (res.status === 429) throw new RequestError("rateLimit", { provider, status: 429, retryAfter: retryAfterMs(res) });
+    if (!res.ok) throw new RequestError("http", { provider, status: res.status });
+    let data;
+    try {
+      data = await res.json();
+    } catch {
+      throw new RequestError(controller.signal.aborted ? "timeout" : "invalid", { provider, status: res.status });
+    }
+    // Provider báo lỗi trong body dù HTTP 200 (vd MyMemory hết hạn mức) -> validate trả { kind, status }
+    const problem = validate?.(data);
+    if (problem) throw new RequestError(problem.kind, { provider, status: problem.status || 0 });
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Gọi API trả JSON qua timeout + retry + giới hạn đồng thời.
+ * -> dữ liệu JSON, hoặc null khi 404; lỗi khác ném RequestError (đã ghi vào trạng thái provider).
+ * options: { provider, init, timeout, retries, validate(data) -> null | { kind, status } }
+ */
+export async function requestJSON(url, { provider = "", init, timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES, validate } = {}) {
+  const blocked = providerStatus[provider];
+  if (blocked?.until > Date.now()) {
+    throw new RequestError(blocked.kind, { provider, status: blocked.status, retryAfter: blocked.until - Date.now() });
+  }
+  for (let attempt = 0; ; attempt++) {
+    await acquire();
+    let error;
+    try {
+      const data = await requestOnce(url, { provider, init, timeout, validate });
+      setProviderStatus(provider, null);
+      return data;
+    } catch (err) {
+      error = err;
+    } finally {
+      release();
+    }
+    if (attempt >= retries || !isRetryable(error) || isOffline()) {
+      recordFailure(provider, error);
+      throw error;
+    }
+    await sleep(error.retryAfter || backoffDelay(attempt));
+  }
+}
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { requestJSON, RequestError, getProviderStatus } from "./network.js";
+
+const realFetch = globalThis.fetch;
+
+function jsonResponse(status, body = {}, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json", ...headers } });
+}
+
+// fetch giả: mỗi lần gọi lấy phản hồi kế tiếp trong danh sách (hàm thì gọi với url/init)
+function stubFetch(...responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push(url);
+    const next = responses[Math.min(calls.length, responses.length) - 1];
+    return typeof next === "function" ? next(url, init) : next;
+  };
+  return calls;
+}
+
+test.afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test("404 trả về null, không thử lại và không ghi lỗi provider", async () => {
+  const calls = stubFetch(() => jsonResponse(404));
+  assert.equal(await requestJSON("https://x/404", { provider: "p404" }), null);
+  assert.equal(calls.length, 1);
+  assert.equal(getProviderStatus().p404, undefined);
+});
+
+test("5xx được thử lại tới hết số lần rồi ném RequestError http", async () => {
+  const calls = stubFetch(() => jsonResponse(503));
+  await assert.rejects(requestJSON("https://x/503", { provider: "p503", retries: 1 }), (err) => {
+    assert.ok(err instanceof RequestError);
+    assert.equal(err.kind, "http");
+    assert.equal(err.status, 503);
+    return true;
+  });
+  assert.equal(calls.length, 2);
+  assert.equal(getProviderStatus().p503.kind, "http");
+});
+
+test("5xx rồi thành công thì xoá trạng thái lỗi của provider", async () => {
+  stubFetch(() => jsonResponse(500), () => jsonResponse(200, { ok: true }));
+  assert.deepEqual(await requestJSON("https://x/flaky", { provider: "pflaky", retries: 1 }), { ok: true });
+  assert.equal(getProviderStatus().pflaky, undefined);
+});
+
+test("429 có Retry-After ngắn: chờ đúng Retry-After rồi thử lại", async () => {
+  const calls = stubFetch(() => jsonResponse(429, {}, { "Retry-After": "1" }), () => jsonResponse(200, { ok: 1 }));
+  const started = Date.now();
+  assert.deepEqual(await requestJSON("https://x/429", { provider: "p429", retries: 1 }), { ok: 1 });
+  assert.equal(calls.length, 2);
+  assert.ok(Date.now() - started >= 900);
+});
+
+test("429 có Retry-After dài: không thử lại, provider tạm ngừng và lần gọi sau báo lỗi ngay", async () => {
+  const retryAt = new Date(Date.now() + 120 * 1000).toUTCString();
+  const calls = stubFetch(() => jsonResponse(429, {}, { "Retry-After": retryAt }));
+  await assert.rejects(requestJSON("https://x/cool", { provider: "pcool" }), (err) => {
+    assert.equal(err.kind, "rateLimit");
+    assert.ok(err.retryAfter > 100 * 1000);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+  assert.ok(getProviderStatus().pcool.until > Date.now() + 100 * 1000);
+
+  await assert.rejects(requestJSON("https://x/cool", { provider: "pcool" }), { kind: "rateLimit" });
+  assert.equal(calls.length, 1);
+});
+
+test("validate báo hết hạn mức -> provider tạm ngừng theo quota", async () => {
+  const calls = stubFetch(() => jsonResponse(200, { quotaFinished: true }));
+  const validate = (data) => (data.quotaFinished ? { kind: "quota" } : null);
+  await assert.rejects(requestJSON("https://x/quota", { provider: "pquota", validate }), { kind: "quota" });
+  await assert.rejects(requestJSON("https://x/quota", { provider: "pquota", validate }), { kind: "quota" });
+  assert.equal(calls.length, 1);
+});
+
+test("hết thời gian chờ -> RequestError timeout", async () => {
+  stubFetch((url, init) => new Promise((resolve, reject) => {
+    init.signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError")));
+  }));
+  await assert.rejects(requestJSON("https://x/slow", { provider: "pslow", timeout: 20, retries: 0 }), { kind: "timeout" });
+});
+
+test("tối đa 4 request chạy cùng lúc, request chờ được chạy khi có suất trống", async () => {
+  let active = 0, peak = 0;
+  const pending = [];
+  globalThis.fetch = () => {
+    active++;
+    peak = Math.max(peak, active);
+    return new Promise(resolve => pending.push(() => { active--; resolve(jsonResponse(200, { ok: true })); }));
+  };
+  const requests = Array.from({ length: 6 }, (_, i) => requestJSON(`https://x/c${i}`, { provider: "pconc" }));
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  await tick();
+  assert.equal(pending.length, 4);
+  while (pending.length) {
+    pending.shift()();
+    await tick();
+  }
+  assert.equal((await Promise.all(requests)).length, 6);
+  assert.equal(peak, 4);
+});
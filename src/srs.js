@@ -0,0 +1,55 @@
+/**
+ * Lịch ôn tập theo SM-2: mỗi thẻ { interval (ngày), ease, reps, lapses, due, lastReviewed }.
+ * - scheduleCard(card, rating) -> lịch mới sau một lần đánh giá "again" | "hard" | "good" | "easy"
+ * - getDueWords(schedule) -> các từ tới hạn ôn, hạn sớm nhất trước
+ */
+
+export const MINUTE_MS = 60 * 1000;
+export const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const RATINGS = { AGAIN: "again", HARD: "hard", GOOD: "good", EASY: "easy" };
+// Điểm chất lượng theo thang SM-2 (0-5)
+const RATING_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+export function newCard(now = Date.now()) {
+  return { interval: 0, ease: 2.5, reps: 0, lapses: 0, due: now, lastReviewed: null };
+}
+
+/**
+ * Tính lịch ôn tiếp theo cho một thẻ theo SM-2.
+ * - "again": quên -> reset chuỗi, gặp lại sau 10 phút
+ * - "hard"/"good"/"easy": 1 ngày -> 6 ngày -> interval * ease
+ */
+export function scheduleCard(card, rating, now = Date.now()) {
+  const prev = card || newCard(now);
+  const q = RATING_QUALITY[rating] ?? RATING_QUALITY.good;
+  let { interval, ease, reps, lapses } = prev;
+
+  if (q < 3) {
+    reps = 0;
+    interval = 0;
+    lapses += 1;
+  } else {
+    reps += 1;
+    if (reps === 1) interval = 1;
+    else if (reps === 2) interval = 6;
+    else interval = Math.round(interval * ease);
+    if (rating === RATINGS.HARD) interval = Math.max(1, Math.round(interval * 0.6));
+    if (rating === RATINGS.EASY) interval = Math.round(interval * 1.3) + 1;
+  }
+
+  ease = Math.max(1.3, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  const due = interval === 0 ? now + 10 * MINUTE_MS : now + interval * DAY_MS;
+
+  // Lưu lại lịch sử đánh giá (giữ 20 lần gần nhất)
+  const history = [...(prev.history || []), { rating, at: now }].slice(-20);
+
+  return { interval, ease: Math.round(ease * 100) / 100, reps, lapses, due, lastReviewed: now, history };
+}
+
+export function getDueWords(schedule, now = Date.now()) {
+  return Object.entries(schedule)
+    .filter(([, card]) => card && card.due <= now)
+    .sort((a, b) => a[1].due - b[1].due)
+    .map(([w]) => w);
+}
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MINUTE_MS, DAY_MS, newCard, scheduleCard, getDueWords } from "./srs.js";
+
+const NOW = 1_700_000_000_000;
+
+test("thẻ mới: bốn mức đánh giá", () => {
+  const card = newCard(NOW);
+  assert.deepEqual(
+    ["again", "hard", "good", "easy"].map(rating => {
+      const { interval, ease, reps, lapses, due } = scheduleCard(card, rating, NOW);
+      return { rating, interval, ease, reps, lapses, due: due - NOW };
+    }),
+    [
+      { rating: "again", interval: 0, ease: 1.96, reps: 0, lapses: 1, due: 10 * MINUTE_MS },
+      { rating: "hard", interval: 1, ease: 2.36, reps: 1, lapses: 0, due: DAY_MS },
+      { rating: "good", interval: 1, ease: 2.5, reps: 1, lapses: 0, due: DAY_MS },
+      { rating: "easy", interval: 2, ease: 2.6, reps: 1, lapses: 0, due: 2 * DAY_MS },
+    ],
+  );
+});
+
+test("chuỗi good: 1 ngày -> 6 ngày -> interval × ease", () => {
+  let card = newCard(NOW);
+  const intervals = [];
+  for (let i = 0; i < 4; i++) {
+    card = scheduleCard(card, "good", NOW);
+    intervals.push(card.interval);
+  }
+  assert.deepEqual(intervals, [1, 6, 15, 38]);
+});
+
+test("hard rút ngắn và easy kéo dài khoảng cách của thẻ đã thuộc", () => {
+  const card = { interval: 6, ease: 2.5, reps: 2, lapses: 0, due: NOW, lastReviewed: NOW - 6 * DAY_MS };
+  assert.equal(scheduleCard(card, "hard", NOW).interval, 9);
+  assert.equal(scheduleCard(card, "good", NOW).interval, 15);
+  assert.equal(scheduleCard(card, "easy", NOW).interval, 21);
+});
+
+test("ease không xuống dưới 1.3", () => {
+  let card = { ...newCard(NOW), ease: 1.4 };
+  for (let i = 0; i < 3; i++) card = scheduleCard(card, "again", NOW);
+  assert.equal(card.ease, 1.3);
+  assert.equal(scheduleCard(card, "hard", NOW).ease, 1.3);
+});
+
+test("again reset chuỗi và tăng lapses, lần good sau bắt đầu lại từ 1 ngày", () => {
+  const card = { interval: 30, ease: 2.5, reps: 5, lapses: 1, due: NOW, lastReviewed: NOW - 30 * DAY_MS };
+  const lapsed = scheduleCard(card, "again", NOW);
+  assert.equal(lapsed.reps, 0);
+  assert.equal(lapsed.interval, 0);
+  assert.equal(lapsed.lapses, 2);
+  const relearned = scheduleCard(lapsed, "good", NOW);
+  assert.equal(relearned.interval, 1);
+  assert.equal(relearned.lapses, 2);
+});
+
+test("lịch sử đánh giá giữ 20 lần gần nhất", () => {
+  let card = newCard(NOW);
+  for (let i = 0; i < 25; i++) card = scheduleCard(card, "good", NOW + i);
+  assert.equal(card.history.length, 20);
+  assert.equal(card.history.at(-1).at, NOW + 24);
+  assert.equal(card.lastReviewed, NOW + 24);
+});
+
+test("getDueWords: từ tới hạn, hạn sớm nhất trước", () => {
+  const schedule = { later: { due: NOW + 1 }, old: { due: NOW - 2 }, now: { due: NOW }, none: null };
+  assert.deepEqual(getDueWords(schedule, NOW), ["old", "now"]);
+});
@@ -0,0 +1,210 @@
+/**
+ * Mô hình bộ sưu tập (store v2) và xuất / nhập file: bản sao lưu JSON và TSV/CSV kiểu Anki.
+ * Không dùng API trình duyệt (tải file xuống nằm ở App.jsx) để kiểm thử được bằng node.
+ */
+import { t } from "./i18n.js";
+import { MAX_EVENTS, sanitizeWords, sanitizeEvents } from "./sync.js";
+import { newCard } from "./srs.js";
+
+/**
+ * Store v2: mỗi từ trong bộ sưu tập là một record
+ * {
+ *   firstSeen, lastSeen,     // timestamp (ms)
+ *   lookups,                 // số lần mở thẻ của từ
+ *   source,                  // cách từ được thêm: "swipe" | "review" | "search" | "chip" | "list" | "link" | "manual" | "import" | "legacy"
+ *   srs: { interval, ease, reps, lapses, due, lastReviewed },
+ *   history: [{ rating, at }],
+ *   card: { phonetic, pos, definitions, wordTranslations, glossSources, audioUrl } | null,  // snapshot để xuất file / offline
+ *   custom?: { notes, examples: [...], translations, preferred, updatedAt }  // nội dung người dùng tự thêm/sửa, preferred = nghĩa được bình chọn
+ * }
+ * và nhật ký sự kiện store.events = [{ type: "learn" | "review", word, rating?, at }] cho màn thống kê,
+ * store.deleted = { word: thời điểm xoá } để việc xoá từ được đồng bộ sang máy khác (xem src/sync.js).
+ */
+export const STORE_VERSION = 2;
+
+// Ngôn ngữ nghĩa (gloss) có thể chọn; mỗi cặp en-xx là một bộ sưu tập riêng
+export const GLOSS_LANGUAGES = {
+  vi: { name: "Tiếng Việt", english: "Vietnamese" },
+  ja: { name: "日本語", english: "Japanese" },
+  ko: { name: "한국어", english: "Korean" },
+  th: { name: "ภาษาไทย", english: "Thai" },
+  id: { name: "Bahasa Indonesia", english: "Indonesian" },
+  fr: { name: "Français", english: "French" },
+  es: { name: "Español", english: "Spanish" },
+  de: { name: "Deutsch", english: "German" },
+};
+export const DEFAULT_GLOSS_LANG = "vi";
+
+export function emptyStore() {
+  return { version: STORE_VERSION, words: {}, events: [] };
+}
+
+// Dựng lại nhật ký sự kiện từ firstSeen + lịch sử đánh giá cho dữ liệu có trước khi có events
+function eventsFromRecords(words) {
+  const events = [];
+  for (const [w, rec] of Object.entries(words)) {
+    if (rec.firstSeen) events.push({ type: "learn", word: w, at: rec.firstSeen });
+    for (const h of rec.history || []) events.push({ type: "review", word: w, rating: h.rating, at: h.at });
+  }
+  return events.sort((a, b) => a.at - b.at).slice(-MAX_EVENTS);
+}
+
+export function withEvents(store) {
+  return Array.isArray(store.events) ? store : { ...store, events: eventsFromRecords(store.words) };
+}
+
+// Chuyển dữ liệu kiểu cũ ({ seen: [...], schedule: {...}, cards: {...} }) thành store v2
+export function storeFromLegacy({ seen = [], schedule = {}, cards = {} }, source = "legacy", now = Date.now()) {
+  const store = emptyStore();
+  const words = new Set([...seen, ...Object.keys(schedule)].map(w => String(w).toLowerCase()));
+  for (const w of words) {
+    const { history = [], ...srs } = schedule[w] || newCard(now);
+    const at = srs.lastReviewed || null;
+    store.words[w] = {
+      firstSeen: at,
+      lastSeen: at,
+      lookups: 0,
+      source,
+      srs: { ...newCard(now), ...srs },
+      history,
+      card: cards[w] || null,
+    };
+  }
+  return store;
+}
+
+// Nghĩa hiển thị/ôn tập của một từ: nghĩa người dùng sửa được ưu tiên hơn nghĩa dịch tự động,
+// trong nghĩa dịch tự động thì nghĩa được bình chọn đứng đầu
+export function glossOf(rec) {
+  return rec?.custom?.translations || preferGloss(rec?.card?.wordTranslations || "", rec?.custom?.preferred);
+}
+
+function preferGloss(gloss, preferred) {
+  const parts = gloss.split(";").map(p => p.trim()).filter(Boolean);
+  const i = preferred ? parts.findIndex(p => p.toLowerCase() === preferred.toLowerCase()) : -1;
+  return i > 0 ? [parts[i], ...parts.filter((_, j) => j !== i)].join("; ") : gloss;
+}
+
+// ---------------- Export / import ----------------
+export const EXPORT_FORMAT = { APP: "vocab-swipe", VERSION: STORE_VERSION };
+const ANKI_COLUMNS = ["Word", "IPA", "POS", "Definitions", "Vietnamese", "Audio", "Notes", "My examples"];
+
+function escapeHTML(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+function unescapeHTML(text) {
+  return String(text).replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+// TSV theo định dạng import của Anki (header "#separator", "#html", "#columns")
+export function buildAnkiTSV(records, lang = DEFAULT_GLOSS_LANG) {
+  const clean = (v) => String(v || "").replace(/[\t\r\n]+/g, " ").trim();
+  const columns = ANKI_COLUMNS.map(c => c === "Vietnamese" ? GLOSS_LANGUAGES[lang]?.english || lang : c);
+  const lines = ["#separator:tab", "#html:true", `#columns:${columns.join("\t")}`];
+  for (const w of Object.keys(records).sort()) {
+    const rec = records[w];
+    const c = rec.card || {};
+    const defs = (c.definitions || [])
+      .map(d => escapeHTML(`${d.pos ? `(${d.pos}) ` : ""}${d.text}`))
+      .join("<br>");
+    const notes = escapeHTML(rec.custom?.notes || "").replace(/\n/g, "<br>");
+    const examples = (rec.custom?.examples || []).map(escapeHTML).join("<br>");
+    lines.push([w, c.phonetic, c.pos, defs, escapeHTML(glossOf(rec)), c.audioUrl, notes, examples].map(clean).join("\t"));
+  }
+  return lines.join("\n") + "\n";
+}
+
+export function buildBackupJSON(store, lang = DEFAULT_GLOSS_LANG) {
+  return JSON.stringify({
+    app: EXPORT_FORMAT.APP,
+    version: EXPORT_FORMAT.VERSION,
+    glossLang: lang,
+    exportedAt: new Date().toISOString(),
+    words: store.words,
+    events: store.events || [],
+  }, null, 2);
+}
+
+// Tách dòng CSV/TSV có hỗ trợ ô trong dấu nháy kép
+function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row); row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Đọc file xuất (JSON backup v1/v2 hoặc TSV/CSV kiểu Anki) thành store v2.
+ * Ném lỗi nếu file không đúng định dạng, hoặc là bản sao lưu của bộ sưu tập ngôn ngữ khác glossLang.
+ */
+export function parseImportFile(name, text, { glossLang = DEFAULT_GLOSS_LANG } = {}) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  if (/\.json$/i.test(name) || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    if (data?.app !== EXPORT_FORMAT.APP) throw new Error(t("import.notBackup"));
+    // File có thể bị sửa tay -> chuẩn hoá từng record/sự kiện trước khi gộp
+    if (data.words && typeof data.words === "object") {
+      const words = sanitizeWords(data.words);
+      const events = Array.isArray(data.events) ? sanitizeEvents(data.events) : undefined;
+      // Bản sao lưu cũ không ghi ngôn ngữ -> là bộ Anh-Việt
+      const lang = data.glossLang || DEFAULT_GLOSS_LANG;
+      if (lang !== glossLang) throw new Error(t("import.wrongLang", { name: GLOSS_LANGUAGES[lang]?.name || lang }));
+      return { ...withEvents({ version: STORE_VERSION, words, events }), glossLang: lang };
+    }
+    if (Array.isArray(data.seen)) {
+      // bản sao lưu v1
+      const legacy = storeFromLegacy({
+        seen: data.seen.filter(w => typeof w === "string"),
+        schedule: data.schedule && typeof data.schedule === "object" ? data.schedule : {},
+        cards: data.cards && typeof data.cards === "object" ? data.cards : {},
+      }, "import");
+      return withEvents({ ...legacy, words: sanitizeWords(legacy.words) });
+    }
+    throw new Error(t("import.noWords"));
+  }
+
+  const delimiter = /\.csv$/i.test(name) ? "," : "\t";
+  const rows = parseDelimited(trimmed, delimiter).filter(r => r.length && !r[0].startsWith("#"));
+  if (rows.length && rows[0][0].trim().toLowerCase() === "word") rows.shift(); // bỏ dòng tiêu đề
+  const seen = [], cards = {}, customs = {};
+  const splitBr = (text) => text.split(/<br\s*\/?>/i).map(d => unescapeHTML(d).trim()).filter(Boolean);
+  for (const [w = "", phonetic = "", pos = "", defs = "", vi = "", audioUrl = "", notes = "", examples = ""] of rows) {
+    const word = w.trim().toLowerCase();
+    if (!/^[a-z][a-z' -]*$/.test(word)) continue;
+    seen.push(word);
+    cards[word] = {
+      phonetic: phonetic.trim(),
+      pos: pos.trim(),
+      definitions: splitBr(defs).map(d => {
+        const m = d.match(/^\(([^)]+)\)\s*(.*)$/);
+        return m ? { text: m[2], pos: m[1], example: null } : { text: d, pos: "", example: null };
+      }),
+      wordTranslations: unescapeHTML(vi).trim(),
+      audioUrl: audioUrl.trim(),
+    };
+    if (notes.trim() || examples.trim()) {
+      customs[word] = { notes: splitBr(notes).join("\n"), examples: splitBr(examples), translations: "", updatedAt: Date.now() };
+    }
+  }
+  if (!seen.length) throw new Error(t("import.unreadable"));
+  const store = storeFromLegacy({ seen, cards }, "import");
+  for (const [w, custom] of Object.entries(customs)) store.words[w].custom = custom;
+  return { ...store, events: [] };
+}
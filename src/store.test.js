@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAnkiTSV, buildBackupJSON, parseImportFile } from "./store.js";
+import { sanitizeWords } from "./sync.js";
+
+const NOW = 1_700_000_000_000;
+
+function record(overrides = {}) {
+  return {
+    firstSeen: NOW,
+    lastSeen: NOW,
+    lookups: 2,
+    source: "swipe",
+    srs: { interval: 6, ease: 2.36, reps: 2, lapses: 1, due: NOW + 6 * 86400000, lastReviewed: NOW },
+    history: [{ rating: "hard", at: NOW }],
+    card: {
+      phonetic: "/dɪˈsaɪd/",
+      pos: "verb",
+      allPOS: ["verb"],
+      definitions: [{ text: "To <choose> & settle", pos: "verb", example: null }],
+      wordTranslations: "quyết định; lựa chọn",
+      glossSources: [],
+      audioUrl: "https://example.com/decide.mp3",
+    },
+    ...overrides,
+  };
+}
+
+const store = {
+  version: 2,
+  words: {
+    decide: record({ custom: { notes: "dòng 1\ndòng 2 <b>đậm</b>", examples: ["I decided\tto go", "a < b & c"], translations: "", updatedAt: NOW } }),
+    happy: record({ card: { ...record().card, definitions: [], wordTranslations: "vui\tvẻ\nhạnh phúc" } }),
+  },
+  events: [{ type: "learn", word: "decide", at: NOW }, { type: "review", word: "decide", rating: "hard", at: NOW + 1 }],
+};
+
+test("JSON: xuất rồi nhập lại giữ nguyên bộ sưu tập", () => {
+  const imported = parseImportFile("backup.json", buildBackupJSON(store, "ja"), { glossLang: "ja" });
+  assert.equal(imported.glossLang, "ja");
+  assert.deepEqual(imported.words, sanitizeWords(store.words));
+  assert.deepEqual(imported.events, store.events);
+});
+
+test("JSON: từ chối bản sao lưu của bộ sưu tập ngôn ngữ khác", () => {
+  const backup = buildBackupJSON(store, "ja");
+  assert.throws(() => parseImportFile("backup.json", backup, { glossLang: "vi" }), /日本語/);
+  // Bản sao lưu cũ không ghi glossLang là bộ Anh-Việt
+  const legacy = JSON.stringify({ ...JSON.parse(backup), glossLang: undefined });
+  assert.equal(parseImportFile("backup.json", legacy, { glossLang: "vi" }).glossLang, "vi");
+  assert.throws(() => parseImportFile("backup.json", legacy, { glossLang: "ja" }));
+  assert.throws(() => parseImportFile("other.json", JSON.stringify({ app: "other", words: {} })));
+});
+
+test("TSV Anki: tab, xuống dòng và HTML trong ô không làm lệch cột", () => {
+  const tsv = buildAnkiTSV(store.words, "vi");
+  const lines = tsv.replace(/\n$/, "").split("\n");
+  assert.equal(lines.length, 5); // 3 dòng header + 2 từ
+  assert.ok(lines.slice(3).every(line => line.split("\t").length === 8));
+  assert.match(lines[2], /\tVietnamese\t/);
+
+  const { words } = parseImportFile("anki.tsv", tsv);
+  assert.deepEqual(Object.keys(words).sort(), ["decide", "happy"]);
+  assert.deepEqual(words.decide.card.definitions, [{ text: "To <choose> & settle", pos: "verb", example: null }]);
+  assert.equal(words.decide.card.wordTranslations, "quyết định; lựa chọn");
+  assert.equal(words.decide.card.audioUrl, "https://example.com/decide.mp3");
+  assert.equal(words.decide.custom.notes, "dòng 1\ndòng 2 <b>đậm</b>");
+  assert.deepEqual(words.decide.custom.examples, ["I decided to go", "a < b & c"]);
+  assert.equal(words.happy.card.wordTranslations, "vui vẻ hạnh phúc");
+  assert.equal(words.happy.custom, undefined);
+});
+
+test("TSV Anki: cột nghĩa mang tên ngôn ngữ đang học", () => {
+  assert.match(buildAnkiTSV(store.words, "fr").split("\n")[2], /\tFrench\t/);
+});
+
+test("CSV: ô trong nháy kép chứa dấu phẩy, nháy kép và xuống dòng", () => {
+  const csv = 'Word,IPA,POS,Definitions,Vietnamese\n"decide",/dɪˈsaɪd/,verb,"(verb) to choose, settle","quyết ""định""\ndứt khoát"\nhappy,,adjective,,vui\n';
+  const { words, events } = parseImportFile("list.csv", csv);
+  assert.deepEqual(Object.keys(words), ["decide", "happy"]);
+  assert.deepEqual(words.decide.card.definitions, [{ text: "to choose, settle", pos: "verb", example: null }]);
+  assert.equal(words.decide.card.wordTranslations, 'quyết "định"\ndứt khoát');
+  assert.equal(words.happy.card.pos, "adjective");
+  assert.deepEqual(events, []);
+});
+
+test("file không đọc được báo lỗi", () => {
+  assert.throws(() => parseImportFile("empty.tsv", "#separator:tab\n"));
+  assert.throws(() => parseImportFile("bad.json", "{ not json"));
+});
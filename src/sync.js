@@ -0,0 +1,192 @@
+/**
+ * Gộp bộ sưu tập (store v2) — dùng chung cho app trên trình duyệt và server đồng bộ (server.js).
+ * - mergeRecords / mergeStores: gộp không ghi đè, dùng cho nhập file và đồng bộ.
+ * - mergeSync: như mergeStores nhưng tôn trọng từ đã xoá (store.deleted = { word: thời điểm xoá })
+ *   để từ bị xoá trên máy này không "sống lại" từ bản trên server; sự kiện của từ đã xoá cũng bị bỏ
+ *   để thống kê không đếm lại.
+ * - sanitizeWords / sanitizeEvents / sanitizeDeleted: chuẩn hoá dữ liệu từ ngoài vào (file sao lưu sửa tay, client đồng bộ)
+ *   trước khi gộp, để lịch ôn không bao giờ chứa giá trị không phải số.
+ * File không dùng API trình duyệt/Node để chạy được ở cả hai phía.
+ */
+
+export const MAX_EVENTS = 5000;
+export const MAX_DELETED = 20000;
+// Tombstone cũ hơn mốc này bị bỏ: máy nào offline lâu hơn thì từ đã xoá có thể quay lại khi đồng bộ
+export const DELETED_RETENTION_MS = 180 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RATINGS = new Set(["again", "hard", "good", "easy"]);
+const EVENT_TYPES = new Set(["learn", "review"]);
+const MAX_HISTORY = 20;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const finiteOr = (v, fallback) => (typeof v === "number" && Number.isFinite(v) ? v : fallback);
+const stringOr = (v, fallback = "") => (typeof v === "string" ? v : fallback);
+
+
+// Chỉ giữ các trường đã biết (xem mô tả store v2 trong App.jsx): server không lưu và phát lại trường lạ của client
+function sanitizeGlossSource(m) {
+  return {
+    text: m.text,
+    score: finiteOr(m.score, null),
+    quality: finiteOr(m.quality, null),
+    match: finiteOr(m.match, null),
+    origin: stringOr(m.origin),
+    by: stringOr(m.by),
+    provider: stringOr(m.provider),
+  };
+}
+
+function sanitizeCard(card) {
+  if (!isObject(card)) return null;
+  return {
+    phonetic: stringOr(card.phonetic),
+    pos: stringOr(card.pos),
+    allPOS: (Array.isArray(card.allPOS) ? card.allPOS : []).filter(p => typeof p === "string"),
+    definitions: (Array.isArray(card.definitions) ? card.definitions : [])
+      .filter(d => isObject(d) && typeof d.text === "string")
+      .map(d => ({ text: d.text, pos: stringOr(d.pos), example: stringOr(d.example, null) })),
+    wordTranslations: stringOr(card.wordTranslations),
+    glossSources: (Array.isArray(card.glossSources) ? card.glossSources : [])
+      .filter(m => isObject(m) && typeof m.text === "string")
+      .map(sanitizeGlossSource),
+    audioUrl: stringOr(card.audioUrl),
+  };
+}
+
+function sanitizeCustom(custom) {
+  if (!isObject(custom)) return null;
+  return {
+    notes: stringOr(custom.notes),
+    examples: (Array.isArray(custom.examples) ? custom.examples : []).filter(e => typeof e === "string"),
+    translations: stringOr(custom.translations),
+    ...(typeof custom.preferred === "string" ? { preferred: custom.preferred } : {}),
+    updatedAt: finiteOr(custom.updatedAt, 0),
+  };
+}
+
+/**
+ * Chuẩn hoá một record: chỉ giữ các trường đã biết, số không hợp lệ trong lịch ôn được thay bằng giá trị của thẻ mới.
+ * -> record, hoặc null nếu không phải object
+ */
+export function sanitizeRecord(raw, now = Date.now()) {
+  if (!isObject(raw)) return null;
+  const srs = isObject(raw.srs) ? raw.srs : {};
+  const firstSeen = finiteOr(raw.firstSeen, now);
+  const custom = sanitizeCustom(raw.custom);
+  return {
+    firstSeen,
+    lastSeen: finiteOr(raw.lastSeen, firstSeen),
+    lookups: Math.max(0, Math.round(finiteOr(raw.lookups, 1))),
+    source: stringOr(raw.source, "import"),
+    srs: {
+      interval: Math.max(0, finiteOr(srs.interval, 0)),
+      ease: Math.max(1.3, finiteOr(srs.ease, 2.5)),
+      reps: Math.max(0, Math.round(finiteOr(srs.reps, 0))),
+      lapses: Math.max(0, Math.round(finiteOr(srs.lapses, 0))),
+      due: finiteOr(srs.due, firstSeen + DAY_MS),
+      lastReviewed: finiteOr(srs.lastReviewed, null),
+    },
+    history: (Array.isArray(raw.history) ? raw.history : [])
+      .filter(h => isObject(h) && RATINGS.has(h.rating) && Number.isFinite(h.at))
+      .map(h => ({ rating: h.rating, at: h.at }))
+      .slice(-MAX_HISTORY),
+    card: sanitizeCard(raw.card),
+    ...(custom ? { custom } : {}),
+  };
+}
+
+// words: { word: record } -> chỉ giữ từ có record hợp lệ, khoá viết thường
+export function sanitizeWords(words, now = Date.now()) {
+  const out = {};
+  if (!isObject(words)) return out;
+  for (const [w, raw] of Object.entries(words)) {
+    const rec = sanitizeRecord(raw, now);
+    if (rec && w.trim()) out[w.trim().toLowerCase()] = rec;
+  }
+  return out;
+}
+
+export function sanitizeEvents(events) {
+  return (Array.isArray(events) ? events : [])
+    .filter(e => isObject(e) && EVENT_TYPES.has(e.type) && typeof e.word === "string" && Number.isFinite(e.at))
+    .map(e => ({ type: e.type, word: e.word.toLowerCase(), at: e.at, ...(RATINGS.has(e.rating) ? { rating: e.rating } : {}) }))
+    .slice(-MAX_EVENTS);
+}
+
+/**
+ * deleted: { word: thời điểm xoá } -> khoá viết thường như sanitizeWords, bỏ thời điểm không hợp lệ
+ * hoặc quá DELETED_RETENTION_MS, giữ tối đa MAX_DELETED tombstone mới nhất.
+ */
+export function sanitizeDeleted(deleted, now = Date.now()) {
+  const out = {};
+  if (!isObject(deleted)) return out;
+  for (const [raw, at] of Object.entries(deleted)) {
+    const w = raw.trim().toLowerCase();
+    if (w && Number.isFinite(at) && now - at <= DELETED_RETENTION_MS) out[w] = Math.max(out[w] || 0, at);
+  }
+  const entries = Object.entries(out);
+  if (entries.length <= MAX_DELETED) return out;
+  return Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_DELETED));
+}
+
+// Gộp một record: lịch ôn lấy bản được ôn gần nhất, lịch sử đánh giá gộp theo thời gian
+export function mergeRecords(mine, theirs) {
+  if (!mine) return theirs;
+  if (!theirs) return mine;
+  const newer = (theirs.srs?.lastReviewed || 0) > (mine.srs?.lastReviewed || 0) ? theirs : mine;
+  const seenAt = new Set();
+  const history = [...(mine.history || []), ...(theirs.history || [])]
+    .filter(h => { const k = `${h.at}:${h.rating}`; if (seenAt.has(k)) return false; seenAt.add(k); return true; })
+    .sort((a, b) => a.at - b.at)
+    .slice(-20);
+  const firsts = [mine.firstSeen, theirs.firstSeen].filter(Boolean);
+  return {
+    ...mine,
+    firstSeen: firsts.length ? Math.min(...firsts) : null,
+    lastSeen: Math.max(mine.lastSeen || 0, theirs.lastSeen || 0) || null,
+    lookups: Math.max(mine.lookups || 0, theirs.lookups || 0),
+    srs: newer.srs,
+    history,
+    card: mine.card || theirs.card,
+    custom: (theirs.custom?.updatedAt || 0) > (mine.custom?.updatedAt || 0) ? theirs.custom : mine.custom,
+  };
+}
+
+// Gộp dữ liệu nhập vào bộ sưu tập hiện tại (không ghi đè)
+export function mergeStores(current, incoming) {
+  const words = { ...current.words };
+  let added = 0;
+  for (const [raw, rec] of Object.entries(incoming.words)) {
+    const w = raw.toLowerCase();
+    if (!words[w]) added++;
+    words[w] = mergeRecords(words[w], rec);
+  }
+  const eventKeys = new Set();
+  const events = [...(current.events || []), ...(incoming.events || [])]
+    .filter(e => { const k = `${e.type}:${e.word}:${e.at}`; if (eventKeys.has(k)) return false; eventKeys.add(k); return true; })
+    .sort((a, b) => a.at - b.at)
+    .slice(-MAX_EVENTS);
+  return { store: { ...current, words, events }, added, total: Object.keys(incoming.words).length };
+}
+
+// Lần gần nhất một record được đụng tới; xoá sau mốc này thì xoá thắng, học lại sau khi xoá thì record thắng
+function touchedAt(rec) {
+  return Math.max(rec?.lastSeen || 0, rec?.srs?.lastReviewed || 0, rec?.custom?.updatedAt || 0);
+}
+
+/**
+ * Gộp hai bản của cùng một bộ sưu tập khi đồng bộ giữa các thiết bị.
+ * -> { store, added, total } như mergeStores, store giữ danh sách deleted đã gộp
+ */
+export function mergeSync(current, incoming) {
+  const deleted = { ...(current.deleted || {}) };
+  for (const [w, at] of Object.entries(incoming.deleted || {})) deleted[w] = Math.max(deleted[w] || 0, at);
+  const merged = mergeStores({ ...current, words: current.words || {} }, { ...incoming, words: incoming.words || {} });
+  const words = {};
+  for (const [w, rec] of Object.entries(merged.store.words)) {
+    if (!deleted[w] || touchedAt(rec) > deleted[w]) words[w] = rec;
+  }
+  const events = merged.store.events.filter(e => words[e.word] || !deleted[e.word]);
+  return { ...merged, store: { ...merged.store, words, events, deleted } };
+}
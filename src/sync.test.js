@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeRecord, sanitizeWords, sanitizeEvents, sanitizeDeleted, mergeRecords, mergeSync, MAX_DELETED, DELETED_RETENTION_MS } from "./sync.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function record(overrides = {}) {
+  return {
+    firstSeen: 1000,
+    lastSeen: 1000,
+    lookups: 1,
+    source: "swipe",
+    srs: { interval: 1, ease: 2.5, reps: 1, lapses: 0, due: 1000 + DAY, lastReviewed: 1000 },
+    history: [{ rating: "good", at: 1000 }],
+    card: null,
+    ...overrides,
+  };
+}
+
+test("sanitizeRecord chỉ giữ các trường đã biết", () => {
+  const rec = sanitizeRecord(record({
+    payload: "x".repeat(100),
+    card: { phonetic: "/kæt/", pos: "noun", definitions: [{ text: "a pet", pos: "noun", extra: 1 }], tracking: "id", glossSources: [{ text: "mèo", score: 1, html: "<b>" }] },
+    custom: { notes: "n", examples: ["e", 3], translations: "", preferred: "mèo", updatedAt: 5, script: "alert(1)" },
+  }));
+  assert.equal("payload" in rec, false);
+  assert.equal("tracking" in rec.card, false);
+  assert.deepEqual(rec.card.definitions, [{ text: "a pet", pos: "noun", example: null }]);
+  assert.deepEqual(Object.keys(rec.card.glossSources[0]).sort(), ["by", "match", "origin", "provider", "quality", "score", "text"]);
+  assert.deepEqual(rec.custom, { notes: "n", examples: ["e"], translations: "", preferred: "mèo", updatedAt: 5 });
+});
+
+test("sanitizeRecord thay số không hợp lệ trong lịch ôn", () => {
+  const rec = sanitizeRecord({ firstSeen: "hôm qua", srs: { ease: 0.5, interval: -3, due: NaN }, history: [{ rating: "meh", at: 1 }] }, 2000);
+  assert.equal(rec.firstSeen, 2000);
+  assert.equal(rec.srs.ease, 1.3);
+  assert.equal(rec.srs.interval, 0);
+  assert.equal(rec.srs.due, 2000 + DAY);
+  assert.deepEqual(rec.history, []);
+  assert.equal(sanitizeRecord("cat"), null);
+});
+
+test("sanitizeWords và sanitizeEvents chuẩn hoá khoá và bỏ mục sai kiểu", () => {
+  assert.deepEqual(Object.keys(sanitizeWords({ " Cat ": record(), dog: null, "": record() })), ["cat"]);
+  assert.deepEqual(sanitizeEvents([
+    { type: "learn", word: "Cat", at: 1, extra: true },
+    { type: "review", word: "cat", at: 2, rating: "good" },
+    { type: "delete", word: "cat", at: 3 },
+    { type: "learn", word: "dog", at: "4" },
+  ]), [{ type: "learn", word: "cat", at: 1 }, { type: "review", word: "cat", at: 2, rating: "good" }]);
+});
+
+test("mergeRecords giải quyết xung đột theo từng trường", () => {
+  const mine = record({ lookups: 3, srs: { ...record().srs, interval: 6, lastReviewed: 5000 }, custom: { notes: "cũ", updatedAt: 100 } });
+  const theirs = record({
+    firstSeen: 500, lastSeen: 9000, lookups: 1,
+    srs: { ...record().srs, interval: 2, lastReviewed: 3000 },
+    history: [{ rating: "good", at: 1000 }, { rating: "hard", at: 3000 }],
+    custom: { notes: "mới", updatedAt: 200 },
+  });
+  const merged = mergeRecords(mine, theirs);
+  assert.equal(merged.firstSeen, 500);
+  assert.equal(merged.lastSeen, 9000);
+  assert.equal(merged.lookups, 3);
+  assert.equal(merged.srs.interval, 6); // bản được ôn gần nhất
+  assert.deepEqual(merged.history.map(h => h.at), [1000, 3000]);
+  assert.equal(merged.custom.notes, "mới"); // bản sửa sau cùng
+});
+
+test("mergeSync: từ đã xoá không sống lại, trừ khi được học lại sau khi xoá", () => {
+  const current = { words: {}, events: [], deleted: { cat: 5000 } };
+  const remote = {
+    words: { cat: record({ lastSeen: 4000 }), dog: record({ lastSeen: 6000 }) },
+    events: [{ type: "learn", word: "cat", at: 1000 }, { type: "learn", word: "dog", at: 1000 }],
+    deleted: { dog: 5000 },
+  };
+  const { store } = mergeSync(current, remote);
+  assert.deepEqual(Object.keys(store.words), ["dog"]);
+  assert.deepEqual(store.events.map(e => e.word), ["dog"]);
+  assert.deepEqual(store.deleted, { cat: 5000, dog: 5000 });
+});
+
+test("sanitizeDeleted chuẩn hoá khoá, bỏ tombstone quá hạn và giới hạn số lượng", () => {
+  const now = 1000 * DAY;
+  assert.deepEqual(sanitizeDeleted({ " Cat ": now - 10, cat: now - 5, dog: "hôm qua", old: now - DELETED_RETENTION_MS - 1, "": now }, now), { cat: now - 5 });
+  assert.deepEqual(sanitizeDeleted(["cat"], now), {});
+  const many = Object.fromEntries(Array.from({ length: MAX_DELETED + 10 }, (_, i) => [`w${i}`, now - i]));
+  const kept = sanitizeDeleted(many, now);
+  assert.equal(Object.keys(kept).length, MAX_DELETED);
+  assert.equal(kept.w0, now);
+  assert.equal(`w${MAX_DELETED + 9}` in kept, false);
+});
@@ -1,3 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
-export default defineConfig({ plugins:[react()] })
+import { createHash } from 'node:crypto'
+import { promises as fs } from 'node:fs'
+import path from 'node:path'
+
+// Đặt tên cache shell của service worker theo hash của các file shell đã build (index.html trỏ tới asset có hash,
+// lexicon-en.txt) để mỗi lần shell đổi, trình duyệt tải bản mới thay vì dùng mãi bản cũ trong cache
+function serviceWorkerVersion() {
+  let outDir = 'dist'
+  return {
+    name: 'sw-shell-version',
+    apply: 'build',
+    configResolved(config) { outDir = config.build.outDir },
+    async writeBundle() {
+      const hash = createHash('sha256')
+      for (const file of ['index.html', 'lexicon-en.txt']) hash.update(await fs.readFile(path.join(outDir, file)))
+      const swPath = path.join(outDir, 'sw.js')
+      const sw = await fs.readFile(swPath, 'utf8')
+      await fs.writeFile(swPath, sw.replace(/__SHELL_VERSION__/g, hash.digest('hex').slice(0, 12)))
+    },
+  }
+}
+
+// Khi dev, chuyển /api sang server đồng bộ (npm start) để không phải cấu hình CORS
+export default defineConfig({ plugins:[react(), serviceWorkerVersion()], server:{ proxy:{ '/api':'http://localhost:3000' } } })